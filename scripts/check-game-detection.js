@@ -0,0 +1,133 @@
+// Automated check of game detection, runnable on Linux CI without League installed
+//
+// Usage:
+//   npm test
+//
+// Drives the fake detector (picked with NEXRA_GAME_DETECTOR=fake) through games with
+// startGameSession, what startGameDetection runs with the app's actions, and checks the Linux /proc
+// detector against a fake process table.
+
+const assert = require('assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createGameDetector, createProcDetector, watchGame } = require('../src/game-detector');
+const { startGameSession } = require('../src/game-session');
+
+const INTERVAL = 20;
+const LOAD_DELAY = 100;
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function checkFakeDetector() {
+  const detector = createGameDetector({ type: 'fake' });
+  assert.equal(detector.name, 'fake');
+
+  const events = [];
+  const stop = watchGame(detector, {
+    interval: INTERVAL,
+    onStart: () => events.push('start'),
+    onEnd: () => events.push('end'),
+  });
+
+  try {
+    await wait(INTERVAL * 3);
+    assert.deepEqual(events, [], 'no game yet');
+
+    detector.setRunning(true);
+    await wait(INTERVAL * 3);
+    assert.deepEqual(events, ['start'], 'start reported once');
+
+    detector.setRunning(false);
+    await wait(INTERVAL * 3);
+    assert.deepEqual(events, ['start', 'end'], 'end reported once');
+  } finally {
+    stop();
+  }
+  console.log('ok - fake detector: start and end reported once each');
+}
+
+// A game session with the fake detector from the environment; the actions are recorded in calls
+function createSession(decision) {
+  process.env.NEXRA_GAME_DETECTOR = 'fake';
+  const detector = createGameDetector({ platform: 'linux' });
+  delete process.env.NEXRA_GAME_DETECTOR;
+  assert.equal(detector.name, 'fake', 'NEXRA_GAME_DETECTOR=fake picks the fake detector');
+
+  const calls = [];
+  let recording = false;
+  const stop = startGameSession(detector, {
+    interval: INTERVAL,
+    loadDelay: LOAD_DELAY,
+    isRecording: () => recording,
+    decideRecording: () => decision,
+    startRecording: () => {
+      recording = true;
+      calls.push('startRecording');
+    },
+    askToRecord: () => calls.push('askToRecord'),
+    stopRecording: () => {
+      recording = false;
+      calls.push('stopRecording');
+    },
+    onGameChange: running => calls.push(running ? 'gameStarted' : 'gameEnded'),
+  });
+  return { detector, calls, stop };
+}
+
+async function playGame(decision, { gameLength = LOAD_DELAY + INTERVAL * 4 } = {}) {
+  const { detector, calls, stop } = createSession(decision);
+  try {
+    detector.setRunning(true);
+    await wait(gameLength);
+    detector.setRunning(false);
+    await wait(INTERVAL * 3);
+  } finally {
+    stop();
+  }
+  return calls;
+}
+
+async function checkGameSession() {
+  assert.deepEqual(await playGame('record'), ['gameStarted', 'startRecording', 'gameEnded', 'stopRecording']);
+  console.log('ok - game session: records once the game has loaded, stops when it ends');
+
+  assert.deepEqual(await playGame('ask'), ['gameStarted', 'askToRecord', 'gameEnded']);
+  assert.deepEqual(await playGame('skip'), ['gameStarted', 'gameEnded']);
+  console.log('ok - game session: asks or skips as decided');
+
+  assert.deepEqual(await playGame('record', { gameLength: LOAD_DELAY / 4 }), ['gameStarted', 'gameEnded']);
+  console.log('ok - game session: nothing recorded when the game ends while loading');
+}
+
+async function checkProcDetector() {
+  const procDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexra-proc-'));
+  const addProcess = (pid, cmdline) => {
+    fs.mkdirSync(path.join(procDir, String(pid)));
+    fs.writeFileSync(path.join(procDir, String(pid), 'cmdline'), cmdline.join('\0'));
+  };
+
+  try {
+    const detector = createProcDetector(['League of Legends.exe'], procDir);
+    addProcess(100, ['/usr/bin/bash']);
+    assert.equal(await detector.isRunning(), false);
+
+    // The Windows client under Wine shows up with its Windows path
+    addProcess(200, ['C:\\Riot Games\\League of Legends\\Game\\League of Legends.exe', '-Locale=en_US']);
+    assert.equal(await detector.isRunning(), true);
+  } finally {
+    fs.rmSync(procDir, { recursive: true, force: true });
+  }
+  console.log('ok - proc detector: finds the game under Wine');
+}
+
+(async () => {
+  await checkFakeDetector();
+  await checkGameSession();
+  await checkProcDetector();
+})().catch((err) => {
+  console.error('not ok -', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,121 @@
+// Automated check of the League Client (LCU) connector against the mock client
+//
+// Usage:
+//   npm test
+//
+// Checks lockfile parsing, then runs scripts/mock-lcu.js at high speed and follows it with
+// createLcuConnector through champ select and a game: the phases, the context read from them
+// (queue, champion, role, summoner) and the disconnect when the client closes.
+
+const assert = require('assert/strict');
+const { spawn } = require('child_process');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { parseLockfile, createLcuConnector } = require('../src/lcu');
+
+// At this speed the mock's whole loop (lobby to end of game) takes a few seconds
+const MOCK_SPEED = 20;
+const MOCK_GAME_SECONDS = 20;
+const INTERVAL = 50;
+const TIMEOUT = 15000;
+
+function wait(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+async function waitFor(condition, what) {
+  const deadline = Date.now() + TIMEOUT;
+  while (!condition()) {
+    if (Date.now() > deadline) throw new Error(`timed out waiting for ${what}`);
+    await wait(INTERVAL);
+  }
+}
+
+function checkParseLockfile() {
+  assert.deepEqual(parseLockfile('LeagueClient:1234:50000:secret:https\n'), {
+    processName: 'LeagueClient',
+    pid: 1234,
+    port: 50000,
+    password: 'secret',
+    protocol: 'https',
+  });
+  assert.equal(parseLockfile(''), null);
+  assert.equal(parseLockfile('LeagueClient:1234:50000:secret'), null, 'missing protocol');
+  assert.equal(parseLockfile('LeagueClient:1234:port:secret:https'), null, 'port not a number');
+  assert.equal(parseLockfile('LeagueClient:1234:50000::https'), null, 'empty password');
+  assert.equal(parseLockfile('LeagueClient:1234:50000:secret:ftp'), null, 'unknown protocol');
+  console.log('ok - lockfile parsing');
+}
+
+async function checkConnector() {
+  const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'nexra-lcu-'));
+  const lockfilePath = path.join(tempDir, 'lockfile');
+  const mock = spawn(process.execPath, [path.join(__dirname, 'mock-lcu.js')], {
+    env: {
+      ...process.env,
+      MOCK_LCU_LOCKFILE: lockfilePath,
+      MOCK_LCU_SPEED: String(MOCK_SPEED),
+      MOCK_LCU_GAME: String(MOCK_GAME_SECONDS),
+      MOCK_LCU_QUEUE: '420',
+      MOCK_LCU_CHAMPION: '103',
+      MOCK_LCU_ROLE: 'middle',
+    },
+    stdio: 'ignore',
+  });
+  let mockExited = false;
+  mock.on('exit', () => { mockExited = true; });
+
+  const phases = [];
+  const contexts = {}; // phase -> last context seen in it
+  let summoner = null;
+  let disconnected = false;
+  const connector = createLcuConnector({
+    lockfilePaths: [lockfilePath],
+    interval: INTERVAL,
+    onConnect: (connected) => { summoner = connected; },
+    onDisconnect: () => { disconnected = true; },
+    onPhase: phase => phases.push(phase),
+    onContext: (context) => { contexts[context.phase] = context; },
+  });
+
+  try {
+    await waitFor(() => fs.existsSync(lockfilePath), 'the mock lockfile');
+    connector.start();
+
+    await waitFor(() => connector.isConnected(), 'the connector to connect');
+    assert.equal(summoner?.gameName, 'NexraTester');
+
+    await waitFor(() => phases.includes('InProgress') && phases.includes('WaitingForStats'), 'a game to end');
+    const order = ['ChampSelect', 'GameStart', 'InProgress', 'WaitingForStats']
+      .map(phase => phases.lastIndexOf(phase));
+    assert.deepEqual([...order].sort((a, b) => a - b), order, `phases in order: ${phases.join(', ')}`);
+
+    // The pick is made in champ select and kept for the game
+    const inGame = contexts.InProgress;
+    assert.ok(inGame, 'context during the game');
+    assert.equal(inGame.queueId, 420);
+    assert.equal(inGame.champion, 'Ahri');
+    assert.equal(inGame.role, 'MIDDLE');
+    assert.equal(inGame.summoner?.puuid, 'mock-puuid-nexra-tester');
+    console.log('ok - connector: phases and game context from the mock client');
+
+    // Closing the client removes its lockfile
+    mock.kill();
+    await waitFor(() => disconnected, 'the connector to disconnect');
+    assert.equal(connector.isConnected(), false);
+    console.log('ok - connector: disconnects when the client closes');
+  } finally {
+    connector.stop();
+    if (!mockExited) mock.kill();
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
+(async () => {
+  checkParseLockfile();
+  await checkConnector();
+})().catch((err) => {
+  console.error('not ok -', err.message);
+  process.exit(1);
+});
@@ -0,0 +1,238 @@
+// Local stand-in for the Nexra API, for testing uploads offline
+//
+// Usage:
+//   npm run mock:api                       (listens on http://127.0.0.1:8787)
+//   NEXRA_API_URL=http://127.0.0.1:8787 npm start
+//
+// Options (env):
+//   MOCK_API_PORT       port to listen on (default 8787)
+//   MOCK_API_DATA_DIR   where uploaded files are stored (default: <tmp>/nexra-mock-api)
+//   MOCK_API_FAIL_RATE  probability (0-1) that a part upload fails, to exercise resuming
+//   MOCK_API_TOKEN_TTL  seconds an access token stays valid (default 300), to exercise refreshing
+//
+// Devices authenticate like with the real API (see src/device-auth.js); any link token is accepted.
+// POST /devices/revoke drops every credential, to exercise "re-link required".
+
+const http = require('http');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.MOCK_API_PORT || '8787', 10);
+const DATA_DIR = process.env.MOCK_API_DATA_DIR || path.join(os.tmpdir(), 'nexra-mock-api');
+const FAIL_RATE = parseFloat(process.env.MOCK_API_FAIL_RATE || '0');
+const TOKEN_TTL = parseInt(process.env.MOCK_API_TOKEN_TTL || '300', 10);
+const PART_SIZE = 8 * 1024 * 1024;
+
+const recordings = new Map(); // recordingId -> { matchId, puuid, clips: [] }
+const uploads = new Map(); // uploadId -> { recordingId, partSize, parts: Map<partNumber, { size, checksum }> }
+const devices = new Map(); // deviceId -> { refreshToken, puuids: Set }
+const accessTokens = new Map(); // accessToken -> { deviceId, expiresAt }
+
+fs.mkdirSync(DATA_DIR, { recursive: true });
+
+function send(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    req.on('data', chunk => chunks.push(chunk));
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+async function readJsonBody(req) {
+  const body = await readBody(req);
+  return body.length ? JSON.parse(body.toString('utf8')) : {};
+}
+
+function partPath(uploadId, partNumber) {
+  return path.join(DATA_DIR, uploadId, `part_${partNumber}`);
+}
+
+function randomToken() {
+  return crypto.randomBytes(24).toString('base64url');
+}
+
+function issueTokens(deviceId) {
+  const device = devices.get(deviceId);
+  device.refreshToken = randomToken();
+  const accessToken = randomToken();
+  accessTokens.set(accessToken, { deviceId, expiresAt: Date.now() + TOKEN_TTL * 1000 });
+  return { deviceId, refreshToken: device.refreshToken, accessToken, expiresIn: TOKEN_TTL };
+}
+
+// The device behind a valid Bearer token, or null
+function authenticate(req) {
+  const token = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const entry = accessTokens.get(token);
+  if (!entry || entry.expiresAt < Date.now() || !devices.has(entry.deviceId)) return null;
+  return entry.deviceId;
+}
+
+// Routes that don't need an access token
+const PUBLIC_ROUTES = ['/devices/link', '/devices/token', '/devices/revoke'];
+
+const routes = [
+  // Exchange a link token for a device credential (a known device gets the account added)
+  ['POST', /^\/devices\/link$/, async (req, res) => {
+    const data = await readJsonBody(req);
+    if (!data.linkToken || !data.puuid) return send(res, 400, { success: false, error: 'Missing link token' });
+
+    const deviceId = devices.has(data.deviceId) ? data.deviceId : crypto.randomUUID();
+    if (!devices.has(deviceId)) devices.set(deviceId, { refreshToken: null, puuids: new Set() });
+    devices.get(deviceId).puuids.add(data.puuid);
+    console.log('Device linked:', deviceId, data.deviceName, data.puuid);
+    send(res, 200, { success: true, data: issueTokens(deviceId) });
+  }],
+
+  // Refresh an access token (the refresh token rotates)
+  ['POST', /^\/devices\/token$/, async (req, res) => {
+    const { deviceId, refreshToken } = await readJsonBody(req);
+    const device = devices.get(deviceId);
+    if (!device || device.refreshToken !== refreshToken) {
+      return send(res, 401, { success: false, error: 'Invalid refresh token' });
+    }
+    console.log('Access token refreshed:', deviceId);
+    send(res, 200, { success: true, data: issueTokens(deviceId) });
+  }],
+
+  ['POST', /^\/devices\/revoke$/, async (req, res) => {
+    devices.clear();
+    accessTokens.clear();
+    console.log('All device credentials revoked');
+    send(res, 200, { success: true });
+  }],
+
+  // Create a recording entry
+  ['POST', /^\/recordings\/upload-url$/, async (req, res) => {
+    const data = await readJsonBody(req);
+    const recordingId = crypto.randomUUID();
+    recordings.set(recordingId, { matchId: data.matchId, puuid: data.puuid, clips: [] });
+    console.log('Recording created:', recordingId, data.matchId, `${data.fileSize} bytes`);
+    send(res, 200, { success: true, data: { recordingId } });
+  }],
+
+  // Initiate a multipart upload
+  ['POST', /^\/recordings\/([^/]+)\/multipart$/, async (req, res, [recordingId]) => {
+    if (!recordings.has(recordingId)) return send(res, 404, { success: false, error: 'Recording not found' });
+    const data = await readJsonBody(req);
+    const uploadId = crypto.randomUUID();
+    const partSize = Math.min(data.partSize || PART_SIZE, PART_SIZE);
+    uploads.set(uploadId, { recordingId, partSize, parts: new Map() });
+    fs.mkdirSync(path.join(DATA_DIR, uploadId), { recursive: true });
+    console.log('Multipart upload started:', uploadId, `part size ${partSize}`);
+    send(res, 200, { success: true, data: { uploadId, partSize } });
+  }],
+
+  // List parts already received
+  ['GET', /^\/recordings\/([^/]+)\/multipart\/([^/]+)$/, async (req, res, [, uploadId]) => {
+    const upload = uploads.get(uploadId);
+    if (!upload) return send(res, 404, { success: false, error: 'Upload not found' });
+    const parts = [...upload.parts.entries()].map(([partNumber, part]) => ({ partNumber, ...part }));
+    send(res, 200, { success: true, data: { parts } });
+  }],
+
+  // Upload a single part
+  ['PUT', /^\/recordings\/([^/]+)\/multipart\/([^/]+)\/parts\/(\d+)$/, async (req, res, [, uploadId, partNumberStr]) => {
+    const upload = uploads.get(uploadId);
+    if (!upload) return send(res, 404, { success: false, error: 'Upload not found' });
+
+    const body = await readBody(req);
+    if (Math.random() < FAIL_RATE) {
+      console.log(`Part ${partNumberStr}: simulated failure`);
+      return send(res, 503, { success: false, error: 'Simulated failure' });
+    }
+
+    const checksum = crypto.createHash('sha256').update(body).digest('base64');
+    if (checksum !== req.headers['x-part-checksum']) {
+      return send(res, 400, { success: false, error: 'Checksum mismatch' });
+    }
+    if (body.length > upload.partSize) {
+      return send(res, 413, { success: false, error: 'Part too large' });
+    }
+
+    const partNumber = parseInt(partNumberStr, 10);
+    fs.writeFileSync(partPath(uploadId, partNumber), body);
+    upload.parts.set(partNumber, { size: body.length, checksum });
+    console.log(`Part ${partNumber} received (${body.length} bytes)`);
+    send(res, 200, { success: true, data: { partNumber, checksum } });
+  }],
+
+  // Assemble the parts into the final file
+  ['POST', /^\/recordings\/([^/]+)\/multipart\/([^/]+)\/complete$/, async (req, res, [recordingId, uploadId]) => {
+    const upload = uploads.get(uploadId);
+    if (!upload) return send(res, 404, { success: false, error: 'Upload not found' });
+
+    const { parts = [] } = await readJsonBody(req);
+    for (const { partNumber, checksum } of parts) {
+      const stored = upload.parts.get(partNumber);
+      if (!stored || stored.checksum !== checksum) {
+        return send(res, 400, { success: false, error: `Part ${partNumber} missing or mismatched` });
+      }
+    }
+
+    const outputPath = path.join(DATA_DIR, `${recordingId}.webm`);
+    fs.writeFileSync(outputPath, Buffer.concat(parts.map(({ partNumber }) => fs.readFileSync(partPath(uploadId, partNumber)))));
+    fs.rmSync(path.join(DATA_DIR, uploadId), { recursive: true, force: true });
+    uploads.delete(uploadId);
+
+    const size = fs.statSync(outputPath).size;
+    console.log('Upload complete:', outputPath, `${size} bytes`);
+    send(res, 200, { success: true, data: { size } });
+  }],
+
+  // Analysis clips
+  ['POST', /^\/recordings\/([^/]+)\/clips$/, async (req, res, [recordingId]) => {
+    const recording = recordings.get(recordingId);
+    if (!recording) return send(res, 404, { success: false, error: 'Recording not found' });
+    const clip = await readJsonBody(req);
+    const clipId = crypto.randomUUID();
+    recording.clips.push({ clipId, type: clip.type, startTime: clip.startTime, frames: (clip.frames || []).length });
+    console.log(`Clip ${clip.index} (${clip.type}) received with ${(clip.frames || []).length} frames`);
+    send(res, 200, { success: true, data: { clipId } });
+  }],
+
+  ['GET', /^\/recordings\/check\/([^/]+)$/, async (req, res, [matchId]) => {
+    const exists = [...recordings.values()].some(rec => rec.matchId === matchId);
+    send(res, 200, { success: true, data: { exists } });
+  }],
+
+  ['POST', /^\/vision\/heartbeat$/, async (req, res) => {
+    await readBody(req);
+    send(res, 200, { success: true });
+  }],
+];
+
+const server = http.createServer(async (req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+
+  if (!PUBLIC_ROUTES.includes(url.pathname) && !authenticate(req)) {
+    return send(res, 401, { success: false, error: 'Unauthorized' });
+  }
+
+  for (const [method, pattern, handler] of routes) {
+    const match = req.method === method && url.pathname.match(pattern);
+    if (match) {
+      try {
+        await handler(req, res, match.slice(1));
+      } catch (err) {
+        console.error('Handler error:', err.message);
+        send(res, 500, { success: false, error: err.message });
+      }
+      return;
+    }
+  }
+
+  send(res, 404, { success: false, error: 'Not found' });
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`Mock Nexra API listening on http://127.0.0.1:${PORT}`);
+  console.log('Data directory:', DATA_DIR);
+});
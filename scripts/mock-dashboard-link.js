@@ -0,0 +1,60 @@
+// Sends a signed link request to the local link server, the way the Nexra dashboard does
+//
+// Usage:
+//   npm run mock:link -- <pairing code> [GameName#TAG]
+//
+// The pairing code is shown in the settings window. The request is sent with the dashboard's
+// Origin, so the link server accepts it like one from the dashboard.
+//
+// Options (env):
+//   MOCK_LINK_ORIGIN    Origin header to send (default: the dashboard)
+//   MOCK_LINK_PUUID     puuid of the account (default: derived from the Riot ID)
+//   MOCK_LINK_REGION    region of the account (default EUW1)
+//   MOCK_LINK_TOKEN     link token for the device credential (default: a random one, which the
+//                       mock API accepts)
+
+const http = require('http');
+const crypto = require('crypto');
+const { signLinkPayload } = require('../src/pairing');
+
+const LINK_SERVER_PORT = 45678;
+const ORIGIN = process.env.MOCK_LINK_ORIGIN || 'https://nexra-jet.vercel.app';
+
+const [code, riotId = 'NexraTester#EUW'] = process.argv.slice(2);
+if (!code) {
+  console.error('Usage: npm run mock:link -- <pairing code> [GameName#TAG]');
+  process.exit(1);
+}
+
+const [gameName, tagLine] = riotId.split('#');
+const payload = {
+  puuid: process.env.MOCK_LINK_PUUID || `mock-puuid-${crypto.createHash('sha256').update(riotId.toLowerCase()).digest('hex').slice(0, 32)}`,
+  gameName,
+  tagLine,
+  region: process.env.MOCK_LINK_REGION || 'EUW1',
+  linkToken: process.env.MOCK_LINK_TOKEN || `mock-link-${crypto.randomBytes(8).toString('hex')}`,
+  nonce: crypto.randomBytes(16).toString('hex'),
+  expiresAt: Date.now() + 60000,
+};
+payload.signature = signLinkPayload(payload, code);
+
+const body = JSON.stringify(payload);
+const req = http.request({
+  host: '127.0.0.1',
+  port: LINK_SERVER_PORT,
+  path: '/link',
+  method: 'POST',
+  headers: { 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(body), Origin: ORIGIN },
+}, (res) => {
+  let response = '';
+  res.on('data', chunk => response += chunk);
+  res.on('end', () => {
+    console.log(res.statusCode, response);
+    process.exit(res.statusCode === 200 ? 0 : 1);
+  });
+});
+req.on('error', (err) => {
+  console.error('Link server not reachable:', err.message);
+  process.exit(1);
+});
+req.end(body);
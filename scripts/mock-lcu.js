@@ -0,0 +1,210 @@
+// Local stand-in for the League Client (LCU) API, walking through lobby, champ select and a game
+//
+// Usage:
+//   npm run mock:lcu                       (writes its lockfile to <tmp>/nexra-mock-lcu/lockfile)
+//   NEXRA_LCU_LOCKFILE=<tmp>/nexra-mock-lcu/lockfile npm start
+//
+// Like the real client it serves HTTPS with a self-signed certificate and basic auth riot:<password>,
+// and removes its lockfile when it exits. The certificate and its key are generated on each start.
+//
+// Options (env):
+//   MOCK_LCU_PORT       port to listen on (default: random)
+//   MOCK_LCU_LOCKFILE   where to write the lockfile (default: <tmp>/nexra-mock-lcu/lockfile)
+//   MOCK_LCU_QUEUE      queue id of the simulated game (default 420, ranked solo/duo)
+//   MOCK_LCU_CHAMPION   champion id picked in champ select (default 103, Ahri)
+//   MOCK_LCU_ROLE       assigned position (default middle)
+//   MOCK_LCU_GAME       seconds the game stays InProgress (default 60)
+//   MOCK_LCU_SPEED      timeline seconds per real second (default 1)
+
+const https = require('https');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const crypto = require('crypto');
+
+const PORT = parseInt(process.env.MOCK_LCU_PORT || '0', 10);
+const LOCKFILE = process.env.MOCK_LCU_LOCKFILE || path.join(os.tmpdir(), 'nexra-mock-lcu', 'lockfile');
+const QUEUE_ID = parseInt(process.env.MOCK_LCU_QUEUE || '420', 10);
+const CHAMPION_ID = parseInt(process.env.MOCK_LCU_CHAMPION || '103', 10);
+const ROLE = process.env.MOCK_LCU_ROLE || 'middle';
+const GAME_SECONDS = parseFloat(process.env.MOCK_LCU_GAME || '60');
+const SPEED = parseFloat(process.env.MOCK_LCU_SPEED || '1');
+
+const PASSWORD = crypto.randomBytes(16).toString('base64url');
+
+const QUEUES = {
+  420: { id: 420, type: 'RANKED_SOLO_5x5', description: 'Ranked Solo/Duo', gameMode: 'CLASSIC' },
+  440: { id: 440, type: 'RANKED_FLEX_SR', description: 'Ranked Flex', gameMode: 'CLASSIC' },
+  450: { id: 450, type: 'ARAM', description: 'ARAM', gameMode: 'ARAM' },
+  0: { id: 0, type: '', description: 'Custom', gameMode: 'CLASSIC' },
+  [-1]: { id: -1, type: '', description: 'Practice Tool', gameMode: 'PRACTICETOOL' },
+};
+
+// A few champions from the real champion-summary.json
+const CHAMPIONS = [
+  { id: -1, name: 'None', alias: 'None' },
+  { id: 62, name: 'Wukong', alias: 'MonkeyKing' },
+  { id: 103, name: 'Ahri', alias: 'Ahri' },
+  { id: 222, name: 'Jinx', alias: 'Jinx' },
+  { id: 412, name: 'Thresh', alias: 'Thresh' },
+];
+
+const SUMMONER = {
+  puuid: 'mock-puuid-nexra-tester',
+  gameName: 'NexraTester',
+  tagLine: 'EUW',
+  displayName: 'NexraTester',
+  summonerId: 123456,
+};
+
+// Seconds spent in each phase before moving to the next; InProgress lasts MOCK_LCU_GAME
+const TIMELINE = [
+  ['None', 5],
+  ['Lobby', 5],
+  ['Matchmaking', 5],
+  ['ReadyCheck', 3],
+  ['ChampSelect', 20],
+  ['GameStart', 5],
+  ['InProgress', GAME_SECONDS],
+  ['WaitingForStats', 5],
+  ['EndOfGame', 10],
+];
+
+const startedAt = Date.now();
+const gameId = 7000000000 + Math.floor(Math.random() * 1000000);
+
+// Current phase and seconds spent in it, looping through the timeline
+function getPhase() {
+  const cycle = TIMELINE.reduce((sum, [, seconds]) => sum + seconds, 0);
+  let elapsed = (((Date.now() - startedAt) / 1000) * SPEED) % cycle;
+  for (const [phase, seconds] of TIMELINE) {
+    if (elapsed < seconds) return { phase, elapsed };
+    elapsed -= seconds;
+  }
+  return { phase: 'None', elapsed: 0 };
+}
+
+function gameflowSession(phase) {
+  const queue = QUEUES[QUEUE_ID] || QUEUES[420];
+  return {
+    phase,
+    gameData: {
+      gameId,
+      isCustomGame: QUEUE_ID <= 0,
+      queue: { ...queue, id: QUEUE_ID },
+    },
+    map: { id: 11, gameMode: queue.gameMode, name: "Summoner's Rift" },
+  };
+}
+
+// The champion is hovered halfway through champ select and locked in near the end
+function champSelectSession(elapsed) {
+  const picked = elapsed > 10;
+  return {
+    localPlayerCellId: 2,
+    myTeam: [0, 1, 2, 3, 4].map(cellId => ({
+      cellId,
+      championId: cellId === 2 && picked ? CHAMPION_ID : 0,
+      championPickIntent: cellId === 2 && elapsed > 5 ? CHAMPION_ID : 0,
+      assignedPosition: cellId === 2 ? ROLE : '',
+      puuid: cellId === 2 ? SUMMONER.puuid : '',
+    })),
+    timer: { phase: picked ? 'FINALIZATION' : 'BAN_PICK' },
+  };
+}
+
+// Minimal DER encoding, enough for a self-signed X.509 certificate
+function der(tag, ...contents) {
+  const body = Buffer.concat(contents);
+  const length = body.length < 0x80
+    ? Buffer.from([body.length])
+    : Buffer.from([0x82, body.length >> 8, body.length & 0xff]); // certificates stay under 64KB
+  return Buffer.concat([Buffer.from([tag]), length, body]);
+}
+
+function derOid(oid) {
+  const [first, second, ...rest] = oid.split('.').map(Number);
+  const bytes = [first * 40 + second];
+  for (const value of rest) {
+    const chunk = [value & 0x7f];
+    for (let v = value >> 7; v > 0; v >>= 7) chunk.unshift((v & 0x7f) | 0x80);
+    bytes.push(...chunk);
+  }
+  return der(0x06, Buffer.from(bytes));
+}
+
+function derUtcTime(date) {
+  return der(0x17, Buffer.from(date.toISOString().replace(/^\d\d|[-:T]|\.\d+/g, '')));
+}
+
+// A throwaway EC key and a self-signed certificate for 127.0.0.1, as PEM
+function createSelfSignedCertificate() {
+  const { publicKey, privateKey } = crypto.generateKeyPairSync('ec', { namedCurve: 'prime256v1' });
+  const ecdsaWithSha256 = der(0x30, derOid('1.2.840.10045.4.3.2'));
+  const name = der(0x30, der(0x31, der(0x30, derOid('2.5.4.3'), der(0x0c, Buffer.from('127.0.0.1')))));
+  const serial = crypto.randomBytes(8);
+  serial[0] &= 0x7f; // positive
+
+  const tbs = der(0x30,
+    der(0x02, serial),
+    ecdsaWithSha256,
+    name,
+    der(0x30, derUtcTime(new Date(Date.now() - 60000)), derUtcTime(new Date(Date.now() + 24 * 3600000))),
+    name,
+    publicKey.export({ type: 'spki', format: 'der' }));
+  const signature = crypto.sign('sha256', tbs, privateKey);
+  const cert = der(0x30, tbs, ecdsaWithSha256, der(0x03, Buffer.from([0]), signature));
+
+  return {
+    key: privateKey.export({ type: 'pkcs8', format: 'pem' }),
+    cert: `-----BEGIN CERTIFICATE-----\n${cert.toString('base64').match(/.{1,64}/g).join('\n')}\n-----END CERTIFICATE-----\n`,
+  };
+}
+
+const routes = {
+  '/lol-summoner/v1/current-summoner': () => SUMMONER,
+  '/lol-game-data/assets/v1/champion-summary.json': () => CHAMPIONS,
+  '/lol-gameflow/v1/gameflow-phase': ({ phase }) => phase,
+  '/lol-gameflow/v1/session': ({ phase }) => (phase === 'None' ? null : gameflowSession(phase)),
+  '/lol-champ-select/v1/session': ({ phase, elapsed }) => (phase === 'ChampSelect' ? champSelectSession(elapsed) : null),
+};
+
+const server = https.createServer(createSelfSignedCertificate(), (req, res) => {
+  const expected = `Basic ${Buffer.from(`riot:${PASSWORD}`).toString('base64')}`;
+  if (req.headers.authorization !== expected) {
+    res.writeHead(401, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ errorCode: 'RPC_ERROR', httpStatus: 401, message: 'Unauthorized' }));
+    return;
+  }
+
+  const route = routes[new URL(req.url, 'https://127.0.0.1').pathname];
+  const body = route ? route(getPhase()) : null;
+
+  // The real client answers 404 for resources that don't exist right now (e.g. champ select)
+  if (body === null) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ errorCode: 'RPC_ERROR', httpStatus: 404, message: 'Not found' }));
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+});
+
+function removeLockfile() {
+  fs.rmSync(LOCKFILE, { force: true });
+}
+
+server.listen(PORT, '127.0.0.1', () => {
+  const { port } = server.address();
+  fs.mkdirSync(path.dirname(LOCKFILE), { recursive: true });
+  fs.writeFileSync(LOCKFILE, `LeagueClient:${process.pid}:${port}:${PASSWORD}:https`);
+
+  console.log(`Mock League Client API listening on https://127.0.0.1:${port}`);
+  console.log(`Lockfile: ${LOCKFILE}`);
+  console.log(`Simulating queue ${QUEUE_ID}, champion ${CHAMPION_ID} (${ROLE}), ${GAME_SECONDS}s games at ${SPEED}x`);
+});
+
+process.on('exit', removeLockfile);
+process.on('SIGINT', () => process.exit(0));
+process.on('SIGTERM', () => process.exit(0));
@@ -0,0 +1,92 @@
+// Local stand-in for the League Live Client Data API, replaying a recorded event feed
+//
+// Usage:
+//   npm run mock:live-client               (listens on http://127.0.0.1:2999)
+//   NEXRA_LIVE_CLIENT_URL=http://127.0.0.1:2999 npm start
+//
+// Options (env):
+//   MOCK_LIVE_PORT     port to listen on (default 2999)
+//   MOCK_LIVE_FEED     feed to replay (default scripts/fixtures/live-client-feed.json)
+//   MOCK_LIVE_SPEED    game seconds per real second (default 1)
+//   MOCK_LIVE_LOADING  seconds of loading screen before the API answers (default 10)
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const PORT = parseInt(process.env.MOCK_LIVE_PORT || '2999', 10);
+const FEED_PATH = process.env.MOCK_LIVE_FEED || path.join(__dirname, 'fixtures', 'live-client-feed.json');
+const SPEED = parseFloat(process.env.MOCK_LIVE_SPEED || '1');
+const LOADING_SECONDS = parseFloat(process.env.MOCK_LIVE_LOADING || '10');
+
+const feed = JSON.parse(fs.readFileSync(FEED_PATH, 'utf8'));
+const startedAt = Date.now();
+
+// null while on the loading screen, then the replayed game clock
+function getGameTime() {
+  const elapsed = (Date.now() - startedAt) / 1000 - LOADING_SECONDS;
+  if (elapsed < 0) return null;
+  return Math.min(elapsed * SPEED, feed.gameLength);
+}
+
+function gameStats(gameTime) {
+  return { gameMode: feed.gameMode, gameTime, mapName: feed.mapName, mapNumber: 11, mapTerrain: 'Default' };
+}
+
+function eventData(gameTime) {
+  return { Events: feed.events.filter(event => event.EventTime <= gameTime) };
+}
+
+// The active player is dead for RESPAWN_SECONDS after each of their deaths in the feed
+const RESPAWN_SECONDS = 20;
+
+function playerList(gameTime) {
+  const [gameName] = feed.activePlayerName.split('#');
+  const lastDeath = feed.events
+    .filter(event => event.EventName === 'ChampionKill' && event.VictimName === gameName && event.EventTime <= gameTime)
+    .pop();
+  const respawnTimer = lastDeath ? Math.max(0, lastDeath.EventTime + RESPAWN_SECONDS - gameTime) : 0;
+
+  return [{
+    riotId: feed.activePlayerName,
+    summonerName: gameName,
+    isDead: respawnTimer > 0,
+    respawnTimer,
+    team: 'ORDER',
+  }];
+}
+
+const endpoints = {
+  activeplayername: () => feed.activePlayerName,
+  activeplayer: () => ({ riotId: feed.activePlayerName, summonerName: feed.activePlayerName.split('#')[0], level: 1 }),
+  gamestats: gameStats,
+  eventdata: eventData,
+  playerlist: playerList,
+  allgamedata: (gameTime) => ({
+    activePlayer: endpoints.activeplayer(gameTime),
+    allPlayers: playerList(gameTime),
+    events: eventData(gameTime),
+    gameData: gameStats(gameTime),
+  }),
+};
+
+const server = http.createServer((req, res) => {
+  const url = new URL(req.url, `http://${req.headers.host}`);
+  const match = url.pathname.match(/^\/liveclientdata\/(\w+)$/);
+  const gameTime = getGameTime();
+
+  // The real API is not available until the loading screen ends
+  if (!match || !endpoints[match[1]] || gameTime === null) {
+    res.writeHead(404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify({ errorCode: 'RESOURCE_NOT_FOUND', httpStatus: 404, message: 'No game data available' }));
+    return;
+  }
+
+  res.writeHead(200, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(endpoints[match[1]](gameTime)));
+});
+
+server.listen(PORT, '127.0.0.1', () => {
+  console.log(`Mock Live Client Data API listening on http://127.0.0.1:${PORT}`);
+  console.log(`Replaying ${feed.events.length} events from ${FEED_PATH} at ${SPEED}x after ${LOADING_SECONDS}s of loading`);
+});
@@ -0,0 +1,73 @@
+// Linked Riot accounts
+//
+// A player can link several accounts (a main and a smurf, or one per region). Each game is
+// attributed to the account actually playing it, found from the Live Client's active player name.
+//
+// Account: { puuid, gameName, tagLine, region, profileIconId }
+
+function normalizeAccount(value) {
+  if (!value || typeof value !== 'object') return null;
+  if (typeof value.puuid !== 'string' || !value.puuid || !value.gameName || !value.tagLine) return null;
+
+  const iconId = Number(value.profileIconId);
+  return {
+    puuid: value.puuid,
+    gameName: String(value.gameName),
+    tagLine: String(value.tagLine),
+    region: typeof value.region === 'string' && value.region ? value.region : 'EUW1',
+    profileIconId: value.profileIconId && Number.isInteger(iconId) ? iconId : null,
+  };
+}
+
+// Valid accounts only, one per puuid
+function normalizeAccounts(value) {
+  if (!Array.isArray(value)) return [];
+  const accounts = [];
+  for (const account of value.map(normalizeAccount)) {
+    if (account && !accounts.some(existing => existing.puuid === account.puuid)) accounts.push(account);
+  }
+  return accounts;
+}
+
+// Add an account, or refresh the one with the same puuid (keeping a known profile icon)
+function upsertAccount(accounts, value) {
+  const account = normalizeAccount(value);
+  if (!account) return accounts;
+
+  const existing = accounts.find(a => a.puuid === account.puuid);
+  if (!existing) return [...accounts, account];
+  return accounts.map(a => (a.puuid === account.puuid
+    ? { ...account, profileIconId: account.profileIconId || a.profileIconId }
+    : a));
+}
+
+function removeAccount(accounts, puuid) {
+  return accounts.filter(account => account.puuid !== puuid);
+}
+
+function formatRiotId(account) {
+  return account ? `${account.gameName}#${account.tagLine}` : null;
+}
+
+// The linked account for the in-game name: a Riot ID ('Name#TAG'), or just the game name on older
+// clients (only trusted when a single linked account has it). Riot IDs are case-insensitive.
+function findAccountByRiotId(accounts, name) {
+  if (!name) return null;
+  const wanted = name.toLowerCase();
+
+  if (wanted.includes('#')) {
+    return accounts.find(account => formatRiotId(account).toLowerCase() === wanted) || null;
+  }
+
+  const byName = accounts.filter(account => account.gameName.toLowerCase() === wanted);
+  return byName.length === 1 ? byName[0] : null;
+}
+
+module.exports = {
+  normalizeAccount,
+  normalizeAccounts,
+  upsertAccount,
+  removeAccount,
+  formatRiotId,
+  findAccountByRiotId,
+};
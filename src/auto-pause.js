@@ -0,0 +1,44 @@
+// Auto-pause policy: decides when the recorder should be paused from what we know about the game
+//
+// Game state signals:
+//   loading   - loading screen still up (the Live Client API has not reported a game clock yet)
+//   focused   - the game window is in the foreground (false when minimized or alt-tabbed)
+//   dead      - the player is waiting on a death timer
+
+const DEFAULT_AUTO_PAUSE = {
+  loadingScreen: true,
+  unfocused: false,
+  dead: false,
+};
+
+const AUTO_PAUSE_LABELS = {
+  loadingScreen: 'Skip loading screen',
+  unfocused: 'Pause when game is in background',
+  dead: 'Pause while dead',
+};
+
+function normalizeAutoPause(saved) {
+  const policy = { ...DEFAULT_AUTO_PAUSE };
+  if (saved && typeof saved === 'object') {
+    for (const key of Object.keys(DEFAULT_AUTO_PAUSE)) {
+      if (typeof saved[key] === 'boolean') policy[key] = saved[key];
+    }
+  }
+  return policy;
+}
+
+// Reasons the recorder should currently be paused, e.g. ['loadingScreen']
+function getAutoPauseReasons(policy, gameState) {
+  const reasons = [];
+  if (policy.loadingScreen && gameState.loading) reasons.push('loadingScreen');
+  if (policy.unfocused && gameState.focused === false) reasons.push('unfocused');
+  if (policy.dead && gameState.dead) reasons.push('dead');
+  return reasons;
+}
+
+module.exports = {
+  DEFAULT_AUTO_PAUSE,
+  AUTO_PAUSE_LABELS,
+  normalizeAutoPause,
+  getAutoPauseReasons,
+};
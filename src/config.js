@@ -0,0 +1,182 @@
+const fs = require('fs');
+const { normalizeHotkeys } = require('./hotkeys');
+const { normalizeAutoPause } = require('./auto-pause');
+const { normalizeCustomPreset, normalizeSizeBudget, QUALITY_PRESETS } = require('./quality');
+const { normalizeRetention } = require('./retention');
+const { normalizeMatchWindow } = require('./match-correlation');
+const { normalizeAccounts } = require('./accounts');
+const { normalizeRecordingRules } = require('./recording-rules');
+
+// User config (config.json): a declared schema, migrations between versions and crash-safe saving
+//
+// Each field has a default and a normalize function that turns whatever is on disk into a valid
+// value (falling back to the default), so a bad or missing field never resets the others.
+//
+// To change the shape of the config, bump CONFIG_VERSION and add a migration from the previous
+// version. Migrations run one version at a time on the raw saved object, before validation.
+
+const CONFIG_VERSION = 3;
+
+const QUALITY_IDS = [...Object.keys(QUALITY_PRESETS), 'custom'];
+
+function stringOrNull(value) {
+  return typeof value === 'string' && value ? value : null;
+}
+
+function boolean(fallback) {
+  return value => (typeof value === 'boolean' ? value : fallback);
+}
+
+const SCHEMA = {
+  // Linked Riot accounts (see accounts.js) and the one used when a game doesn't say which
+  accounts: { default: [], normalize: normalizeAccounts },
+  activeAccountPuuid: { default: null, normalize: stringOrNull },
+
+  // Recording
+  autoRecord: { default: true, normalize: boolean(true) },
+  // Record / ask / skip and upload / keep local per kind of game, and the remake threshold
+  recordingRules: { default: normalizeRecordingRules(null), normalize: normalizeRecordingRules },
+  quality: { default: 'medium', normalize: value => (QUALITY_IDS.includes(value) ? value : 'medium') },
+  customQuality: { default: normalizeCustomPreset(null), normalize: normalizeCustomPreset },
+  sizeBudget: { default: normalizeSizeBudget(null), normalize: normalizeSizeBudget },
+  audio: {
+    default: { game: false, mic: false }, // Optional audio tracks, both off by default
+    normalize: value => ({ game: value?.game === true, mic: value?.mic === true }),
+  },
+  autoPause: { default: normalizeAutoPause(null), normalize: normalizeAutoPause },
+  hotkeys: { default: normalizeHotkeys(null), normalize: normalizeHotkeys },
+
+  // { win32: [...], darwin: [...], linux: [...] } - null uses the defaults
+  gameProcessNames: {
+    default: null,
+    normalize: value => (value && typeof value === 'object' && !Array.isArray(value) ? value : null),
+  },
+
+  // After the game
+  matchWindowMinutes: { default: normalizeMatchWindow(null), normalize: normalizeMatchWindow },
+  retention: { default: normalizeRetention(null), normalize: normalizeRetention },
+};
+
+// MIGRATIONS[n] turns a version n config into a version n + 1 config.
+// Configs saved before versioning are treated as version 1.
+const MIGRATIONS = {
+  // Version 2 changed the defaults: record automatically, at medium quality
+  1: config => ({ ...config, autoRecord: true, quality: 'medium' }),
+
+  // Version 3 supports several linked accounts instead of a single one
+  2: ({ puuid, gameName, tagLine, region, profileIconId, ...config }) => ({
+    ...config,
+    accounts: puuid ? [{ puuid, gameName, tagLine, region, profileIconId }] : [],
+    activeAccountPuuid: puuid || null,
+  }),
+};
+
+function createDefaultConfig() {
+  const config = {};
+  for (const [key, field] of Object.entries(SCHEMA)) {
+    config[key] = structuredClone(field.default);
+  }
+  config.configVersion = CONFIG_VERSION;
+  return config;
+}
+
+// Every schema field, normalized. Unknown fields are dropped.
+function validateConfig(raw) {
+  const config = {};
+  for (const [key, field] of Object.entries(SCHEMA)) {
+    config[key] = raw[key] === undefined ? structuredClone(field.default) : field.normalize(raw[key]);
+  }
+  config.configVersion = CONFIG_VERSION;
+  return config;
+}
+
+// Run the migrations from the saved version up to CONFIG_VERSION
+function migrateConfig(raw) {
+  let config = { ...raw };
+  let version = Number.isInteger(raw.configVersion) ? raw.configVersion : 1;
+
+  if (version > CONFIG_VERSION) {
+    console.log(`Config version ${version} is newer than this app (${CONFIG_VERSION}), loading the fields it knows read-only`);
+    return config;
+  }
+
+  while (version < CONFIG_VERSION) {
+    const migrate = MIGRATIONS[version];
+    if (!migrate) throw new Error(`No config migration from version ${version}`);
+    config = migrate(config);
+    version += 1;
+    console.log('Config migrated to version', version);
+  }
+  return config;
+}
+
+function readJson(filePath) {
+  const raw = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new Error('Not a config object');
+  return raw;
+}
+
+// A config written by a newer version of the app (after a downgrade) has fields this version
+// would drop, so it is never overwritten
+function isNewerConfig(raw) {
+  return Number.isInteger(raw.configVersion) && raw.configVersion > CONFIG_VERSION;
+}
+
+// Load, migrate and validate the config. Falls back to the backup when config.json is unreadable,
+// then to defaults. Returns { config, source: 'file' | 'backup' | 'defaults', migrated, readOnly },
+// readOnly when the file is from a newer version and must not be saved over.
+function loadConfig(filePath) {
+  for (const [source, candidate] of [['file', filePath], ['backup', `${filePath}.bak`]]) {
+    if (!fs.existsSync(candidate)) continue;
+
+    try {
+      const raw = readJson(candidate);
+      const config = validateConfig(migrateConfig(raw));
+      const readOnly = isNewerConfig(raw);
+      if (source === 'backup') console.log('Config restored from backup');
+      return { config, source, migrated: !readOnly && raw.configVersion !== CONFIG_VERSION, readOnly };
+    } catch (e) {
+      console.error(`Failed to load config from ${candidate}:`, e.message);
+    }
+  }
+
+  return { config: createDefaultConfig(), source: 'defaults', migrated: false, readOnly: false };
+}
+
+// Write to a temp file and rename it over config.json, so a crash mid-write leaves either the old
+// or the new file. The previous file is kept as config.json.bak if it was readable.
+// Throws rather than overwrite a config from a newer version.
+function saveConfig(filePath, config) {
+  let previous = null;
+  try {
+    previous = readJson(filePath);
+  } catch (e) {
+    // No previous file, or a corrupt one
+  }
+  if (previous && isNewerConfig(previous)) {
+    throw new Error(`config.json is version ${previous.configVersion}, newer than this app (${CONFIG_VERSION}) - not overwriting it`);
+  }
+
+  const tempPath = `${filePath}.tmp`;
+  const fd = fs.openSync(tempPath, 'w');
+  try {
+    fs.writeSync(fd, JSON.stringify(validateConfig(config), null, 2));
+    fs.fsyncSync(fd);
+  } finally {
+    fs.closeSync(fd);
+  }
+
+  // A corrupt previous file must not replace a good backup
+  if (previous) fs.copyFileSync(filePath, `${filePath}.bak`);
+
+  fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+  CONFIG_VERSION,
+  createDefaultConfig,
+  validateConfig,
+  migrateConfig,
+  loadConfig,
+  saveConfig,
+};
@@ -0,0 +1,174 @@
+const fs = require('fs');
+
+// Device authentication for the Nexra API
+//
+// Linking an account (see pairing.js) gives the client a one-time link token from the dashboard,
+// which it exchanges for a device credential. Every API request then carries a short-lived access
+// token, refreshed with the credential's refresh token when it expires:
+//
+//   POST /devices/link   { linkToken, puuid, deviceId?, deviceName, platform }
+//                        -> { deviceId, refreshToken, accessToken, expiresIn }
+//   POST /devices/token  { deviceId, refreshToken } -> { accessToken, expiresIn, refreshToken? }
+//   anything else        Authorization: Bearer <accessToken>
+//
+// The credential is stored encrypted with Electron's safeStorage (the OS keychain). When the API
+// refuses it, it is dropped and the app asks the user to link again.
+
+const REFRESH_MARGIN = 60 * 1000; // refresh a bit before the access token expires
+
+const RELINK_REQUIRED = 'Re-link required';
+
+function relinkError() {
+  const error = new Error(RELINK_REQUIRED);
+  error.code = 'RELINK_REQUIRED';
+  error.status = 401;
+  error.retryable = false;
+  return error;
+}
+
+async function readApiData(response) {
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) {
+    const error = new Error(data.error || `HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data.data || {};
+}
+
+// filePath: where the encrypted credential is kept
+// safeStorage: Electron's safeStorage
+// onChange(): called when the credential is obtained or dropped
+function createDeviceAuth({ apiUrl, filePath, safeStorage, deviceName, onChange = () => {} }) {
+  let credential = null; // { deviceId, refreshToken, accessToken, accessTokenExpiresAt }
+  let refreshing = null; // the refresh in flight, shared by concurrent requests
+
+  function load() {
+    try {
+      if (!fs.existsSync(filePath)) return;
+      if (!safeStorage.isEncryptionAvailable()) {
+        console.error('Device credential: OS encryption unavailable, cannot read the saved credential');
+        return;
+      }
+      credential = JSON.parse(safeStorage.decryptString(fs.readFileSync(filePath)));
+    } catch (e) {
+      console.error('Failed to load device credential:', e.message);
+      credential = null;
+    }
+  }
+
+  // Never written in clear: without OS encryption the credential only lives until the app quits
+  function save() {
+    try {
+      if (!credential) {
+        fs.rmSync(filePath, { force: true });
+      } else if (safeStorage.isEncryptionAvailable()) {
+        fs.writeFileSync(filePath, safeStorage.encryptString(JSON.stringify(credential)));
+      } else {
+        console.error('Device credential: OS encryption unavailable, keeping it in memory only');
+      }
+    } catch (e) {
+      console.error('Failed to save device credential:', e.message);
+    }
+  }
+
+  function setCredential(next) {
+    credential = next;
+    save();
+    onChange();
+  }
+
+  function applyTokens(data) {
+    return {
+      ...credential,
+      deviceId: data.deviceId || credential?.deviceId,
+      refreshToken: data.refreshToken || credential?.refreshToken,
+      accessToken: data.accessToken,
+      accessTokenExpiresAt: Date.now() + (data.expiresIn || 0) * 1000,
+    };
+  }
+
+  // Exchange a link token from the dashboard for a device credential. A device that is already
+  // registered keeps its id, so the account is added to it.
+  async function register(linkToken, account) {
+    const response = await fetch(`${apiUrl}/devices/link`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({
+        linkToken,
+        puuid: account.puuid,
+        deviceId: credential?.deviceId || null,
+        deviceName,
+        platform: process.platform,
+      }),
+    });
+    const data = await readApiData(response);
+    if (!data.deviceId || !data.refreshToken || !data.accessToken) throw new Error('Incomplete device credential');
+
+    setCredential(applyTokens(data));
+    console.log('Device registered:', credential.deviceId);
+  }
+
+  async function refresh() {
+    if (!credential) throw relinkError();
+
+    const response = await fetch(`${apiUrl}/devices/token`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ deviceId: credential.deviceId, refreshToken: credential.refreshToken }),
+    });
+
+    // The credential was revoked or has expired for good
+    if (response.status === 401 || response.status === 403) {
+      console.log('Device credential refused, re-link required');
+      setCredential(null);
+      throw relinkError();
+    }
+
+    setCredential(applyTokens(await readApiData(response)));
+  }
+
+  async function getAccessToken({ force = false } = {}) {
+    if (!credential) throw relinkError();
+    if (!force && credential.accessToken && credential.accessTokenExpiresAt - REFRESH_MARGIN > Date.now()) {
+      return credential.accessToken;
+    }
+
+    if (!refreshing) refreshing = refresh().finally(() => { refreshing = null; });
+    await refreshing;
+    return credential.accessToken;
+  }
+
+  // fetch() for the Nexra API with the device's access token. A 401 gets one retry with a
+  // refreshed token; if that fails too the credential is dropped and this throws RELINK_REQUIRED.
+  async function apiFetch(url, options = {}) {
+    const send = async (token) => fetch(url, {
+      ...options,
+      headers: { ...options.headers, Authorization: `Bearer ${token}` },
+    });
+
+    let response = await send(await getAccessToken());
+    if (response.status !== 401) return response;
+
+    response = await send(await getAccessToken({ force: true }));
+    if (response.status !== 401) return response;
+
+    console.log('API refused the device token, re-link required');
+    setCredential(null);
+    throw relinkError();
+  }
+
+  load();
+
+  return {
+    register,
+    apiFetch,
+    hasCredential: () => !!credential,
+    getDeviceId: () => credential?.deviceId || null,
+  };
+}
+
+module.exports = {
+  RELINK_REQUIRED,
+  createDeviceAuth,
+};
@@ -0,0 +1,99 @@
+// Mapping between wall clock, video time and game time for a recording
+//
+// Video time 0 is when MediaRecorder started, which is usually during the loading screen, so game
+// timestamps (Riot timeline, Live Client events) cannot be used as video offsets directly.
+//
+// A clock is stored with the recording as:
+//   {
+//     recordingStartedAt: wall ms of video time 0,
+//     samples: [{ wallTime, gameTime }],   game clock readings from the Live Client API
+//     pauses: [{ start, end, reasons }],   wall ms ranges where the recorder was paused, and why
+//   }
+
+// Wall time at which the game clock read 0, from the median of all samples (robust to slow responses)
+function estimateGameStartWallTime(samples) {
+  if (!samples || samples.length === 0) return null;
+
+  const starts = samples
+    .map(sample => sample.wallTime - sample.gameTime * 1000)
+    .sort((a, b) => a - b);
+  const middle = Math.floor(starts.length / 2);
+  return starts.length % 2 ? starts[middle] : (starts[middle - 1] + starts[middle]) / 2;
+}
+
+// Milliseconds of recording paused before a wall time
+function pausedBefore(wallTime, pauses) {
+  return (pauses || []).reduce((total, pause) => {
+    const end = pause.end ?? wallTime;
+    if (pause.start >= wallTime) return total;
+    return total + Math.min(end, wallTime) - pause.start;
+  }, 0);
+}
+
+function isPausedAt(wallTime, pauses) {
+  return (pauses || []).some(pause => pause.start <= wallTime && wallTime < (pause.end ?? Infinity));
+}
+
+// Build the mapping used for conversions. Without samples there is nothing to sync on, so game time
+// is assumed to equal video time (the historic behaviour) and `synced` is false.
+function createClockMapping(clock) {
+  const recordingStartedAt = clock?.recordingStartedAt ?? null;
+  const gameStartedAt = recordingStartedAt !== null ? estimateGameStartWallTime(clock?.samples) : null;
+
+  return {
+    synced: gameStartedAt !== null,
+    recordingStartedAt,
+    gameStartedAt,
+    pauses: clock?.pauses || [],
+  };
+}
+
+// Wall ms -> video seconds, or null if the recorder was not recording at that moment
+function wallTimeToVideoTime(wallTime, mapping) {
+  if (wallTime < mapping.recordingStartedAt || isPausedAt(wallTime, mapping.pauses)) return null;
+  return (wallTime - mapping.recordingStartedAt - pausedBefore(wallTime, mapping.pauses)) / 1000;
+}
+
+// Game seconds -> video seconds, or null if that moment was not recorded
+function gameTimeToVideoTime(gameTime, mapping) {
+  if (!mapping.synced) return gameTime;
+  return wallTimeToVideoTime(mapping.gameStartedAt + gameTime * 1000, mapping);
+}
+
+// Video seconds -> game seconds (negative during the loading screen)
+function videoTimeToGameTime(videoTime, mapping) {
+  if (!mapping.synced) return videoTime;
+
+  // Walk forward through the pauses: each one that starts before the target shifts it later
+  let wallTime = mapping.recordingStartedAt + videoTime * 1000;
+  const pauses = [...mapping.pauses].sort((a, b) => a.start - b.start);
+  for (const pause of pauses) {
+    if (pause.start > wallTime) break;
+    wallTime += (pause.end ?? pause.start) - pause.start;
+  }
+  return (wallTime - mapping.gameStartedAt) / 1000;
+}
+
+// Convert a game-time range into the video range to cut, clamped to what was actually recorded.
+// Returns null if none of the range is in the video.
+function gameRangeToVideoRange(startTime, duration, mapping) {
+  if (!mapping.synced) return { start: Math.max(0, startTime), duration };
+
+  // Find the first recorded second in the range (the start may fall in the loading screen or a pause)
+  for (let offset = 0; offset < duration; offset++) {
+    const start = gameTimeToVideoTime(startTime + offset, mapping);
+    if (start !== null) {
+      return { start: Math.max(0, start), duration: duration - offset };
+    }
+  }
+  return null;
+}
+
+module.exports = {
+  estimateGameStartWallTime,
+  createClockMapping,
+  wallTimeToVideoTime,
+  gameTimeToVideoTime,
+  videoTimeToGameTime,
+  gameRangeToVideoRange,
+};
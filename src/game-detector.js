@@ -0,0 +1,167 @@
+const fs = require('fs');
+const path = require('path');
+const { exec } = require('child_process');
+
+// Game process detection, one implementation per platform plus a fake one for tests
+//
+// Every detector has the same shape: { name, isRunning: () => Promise<boolean> }
+
+// Process names to look for, per platform (overridable from config)
+const DEFAULT_PROCESS_NAMES = {
+  win32: ['League of Legends.exe'],
+  darwin: ['League Of Legends'],
+  // The Windows client running under Wine/Lutris
+  linux: ['League of Legends.exe'],
+};
+
+const COMMAND_TIMEOUT = 3000;
+
+function runCommand(cmd) {
+  return new Promise((resolve) => {
+    exec(cmd, { windowsHide: true, timeout: COMMAND_TIMEOUT }, (error, stdout) => {
+      resolve(error ? null : stdout);
+    });
+  });
+}
+
+// Last component of a path, for both / and \ separators
+function baseName(processPath) {
+  return processPath.split(/[\\/]/).pop().trim();
+}
+
+function matchesAny(processName, names) {
+  const lower = processName.toLowerCase();
+  return names.some(name => name.toLowerCase() === lower);
+}
+
+// Windows: tasklist in CSV form, first column is the image name
+function createTasklistDetector(processNames) {
+  return {
+    name: 'tasklist',
+    async isRunning() {
+      const stdout = await runCommand('tasklist /FO CSV /NH');
+      if (!stdout) return false;
+      return stdout.split(/\r?\n/).some(line => {
+        const imageName = line.split('","')[0].replace(/^"/, '');
+        return imageName && matchesAny(imageName, processNames);
+      });
+    },
+  };
+}
+
+// macOS: ps lists the full executable path of every process
+function createPsDetector(processNames) {
+  return {
+    name: 'ps',
+    async isRunning() {
+      const stdout = await runCommand('ps -axo comm=');
+      if (!stdout) return false;
+      return stdout.split('\n').some(line => line && matchesAny(baseName(line), processNames));
+    },
+  };
+}
+
+// Linux: scan /proc directly. `comm` is truncated to 15 characters, so the
+// executable is read from the first cmdline argument instead (a Windows path under Wine).
+function createProcDetector(processNames, procDir = '/proc') {
+  return {
+    name: 'proc',
+    async isRunning() {
+      let entries;
+      try {
+        entries = await fs.promises.readdir(procDir);
+      } catch (e) {
+        return false;
+      }
+
+      for (const entry of entries) {
+        if (!/^\d+$/.test(entry)) continue;
+        try {
+          const cmdline = await fs.promises.readFile(path.join(procDir, entry, 'cmdline'), 'utf8');
+          const executable = cmdline.split('\0')[0];
+          if (executable && matchesAny(baseName(executable), processNames)) {
+            return true;
+          }
+        } catch (e) {
+          // Process exited while scanning, or no permission
+        }
+      }
+      return false;
+    },
+  };
+}
+
+// Fake detector driven by code: setRunning(true) simulates the game starting
+function createFakeDetector(initiallyRunning = false) {
+  let running = initiallyRunning;
+  return {
+    name: 'fake',
+    async isRunning() {
+      return running;
+    },
+    setRunning(value) {
+      running = !!value;
+    },
+  };
+}
+
+// Pick the detector for a platform. `type` forces one ('fake', 'tasklist', 'ps', 'proc'), by default
+// from NEXRA_GAME_DETECTOR ('fake' to simulate games from the tray).
+function createGameDetector({ platform = process.platform, processNames = null, type = process.env.NEXRA_GAME_DETECTOR || null } = {}) {
+  const names = (processNames && processNames[platform]) || DEFAULT_PROCESS_NAMES[platform] || DEFAULT_PROCESS_NAMES.win32;
+
+  switch (type || platform) {
+    case 'fake':
+      return createFakeDetector();
+    case 'win32':
+    case 'tasklist':
+      return createTasklistDetector(names);
+    case 'darwin':
+    case 'ps':
+      return createPsDetector(names);
+    case 'linux':
+    case 'proc':
+      return createProcDetector(names);
+    default:
+      throw new Error(`No game detector for platform: ${platform}`);
+  }
+}
+
+// Poll a detector and report transitions. Returns a function that stops watching.
+function watchGame(detector, { interval, onStart, onEnd }) {
+  let wasRunning = false;
+  let checking = false;
+
+  const check = async () => {
+    // A slow check (tasklist can take seconds) must not overlap the next one
+    if (checking) return;
+    checking = true;
+    try {
+      const isRunning = await detector.isRunning();
+      if (isRunning && !wasRunning) {
+        wasRunning = true;
+        await onStart();
+      } else if (!isRunning && wasRunning) {
+        wasRunning = false;
+        await onEnd();
+      }
+    } catch (err) {
+      console.error('Game detection error:', err.message);
+    } finally {
+      checking = false;
+    }
+  };
+
+  const timer = setInterval(check, interval);
+  return () => clearInterval(timer);
+}
+
+module.exports = {
+  DEFAULT_PROCESS_NAMES,
+  createGameDetector,
+  createFakeDetector,
+  createTasklistDetector,
+  createPsDetector,
+  createProcDetector,
+  watchGame,
+};
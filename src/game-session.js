@@ -0,0 +1,80 @@
+const { watchGame } = require('./game-detector');
+
+// What happens when a game starts and ends: once the game has had time to load, decideRecording()
+// says whether to record it, ask the user first or skip it; a recording stops with the game.
+//
+// Kept free of Electron so scripts/check-game-detection.js can drive it with the fake detector.
+// main.js supplies the actions:
+//   isRecording()             whether a recording is in progress
+//   decideRecording()         'record' | 'ask' | 'skip' for the game that just started
+//   startRecording()          start recording right away
+//   askToRecord()             ask the user (the overlay prompt)
+//   stopRecording()           stop the recording in progress
+//   onGameChange(running)     the game started (true) or ended (false)
+
+const GAME_LOAD_DELAY = 5000;
+
+// Watch the detector and run the actions. Returns a function that stops watching.
+function startGameSession(detector, {
+  interval,
+  loadDelay = GAME_LOAD_DELAY,
+  isRecording,
+  decideRecording,
+  startRecording,
+  askToRecord,
+  stopRecording,
+  onGameChange = () => {},
+}) {
+  let gameRunning = false;
+  let loadTimer = null;
+
+  const cancelLoadTimer = () => {
+    if (loadTimer) clearTimeout(loadTimer);
+    loadTimer = null;
+  };
+
+  const stopWatching = watchGame(detector, {
+    interval,
+
+    onStart: () => {
+      console.log('🎮 GAME STARTED!');
+      gameRunning = true;
+      onGameChange(true);
+
+      // Start recording after delay (let game load)
+      cancelLoadTimer();
+      loadTimer = setTimeout(() => {
+        loadTimer = null;
+        if (!gameRunning || isRecording()) return;
+
+        const action = decideRecording();
+        if (action === 'record') {
+          startRecording();
+        } else if (action === 'ask') {
+          askToRecord();
+        }
+      }, loadDelay);
+    },
+
+    onEnd: () => {
+      console.log('🏁 GAME ENDED!');
+      gameRunning = false;
+      cancelLoadTimer();
+      onGameChange(false);
+
+      if (isRecording()) {
+        stopRecording();
+      }
+    },
+  });
+
+  return () => {
+    stopWatching();
+    cancelLoadTimer();
+  };
+}
+
+module.exports = {
+  GAME_LOAD_DELAY,
+  startGameSession,
+};
@@ -0,0 +1,73 @@
+// Global hotkeys for controlling recording from inside the game
+//
+// Bindings are Electron accelerators ('F9', 'Ctrl+Shift+B', ...) keyed by action; null means unbound.
+
+const DEFAULT_HOTKEYS = {
+  toggleRecording: 'F9',
+  togglePause: 'F10',
+  bookmark: 'F8',
+  showOverlay: 'F7',
+};
+
+const HOTKEY_LABELS = {
+  toggleRecording: 'Start / stop recording',
+  togglePause: 'Pause / resume',
+  bookmark: 'Bookmark moment',
+  showOverlay: 'Show bookmark overlay',
+};
+
+// Merge saved bindings over the defaults, ignoring unknown actions. An action added since the
+// bindings were saved is left unbound if its default is already taken.
+function normalizeHotkeys(saved) {
+  const hotkeys = { ...DEFAULT_HOTKEYS };
+  if (!saved || typeof saved !== 'object') return hotkeys;
+
+  const unsaved = [];
+  for (const action of Object.keys(DEFAULT_HOTKEYS)) {
+    if (typeof saved[action] === 'string' || saved[action] === null) {
+      hotkeys[action] = saved[action];
+    } else {
+      unsaved.push(action);
+    }
+  }
+  for (const action of unsaved) {
+    if (findConflict(hotkeys, action, hotkeys[action])) hotkeys[action] = null;
+  }
+  return hotkeys;
+}
+
+// The other action already bound to this accelerator, if any (case-insensitive, as Electron is)
+function findConflict(hotkeys, action, accelerator) {
+  if (!accelerator) return null;
+  const wanted = accelerator.toLowerCase();
+  return Object.keys(hotkeys).find(other => other !== action && hotkeys[other] && hotkeys[other].toLowerCase() === wanted) || null;
+}
+
+// Register every binding with Electron's globalShortcut. Returns { action: error } for the ones that
+// could not be registered (usually because another application already owns the shortcut).
+function registerHotkeys(globalShortcut, hotkeys, handlers) {
+  const errors = {};
+  globalShortcut.unregisterAll();
+
+  for (const [action, accelerator] of Object.entries(hotkeys)) {
+    if (!accelerator || !handlers[action]) continue;
+
+    try {
+      if (!globalShortcut.register(accelerator, handlers[action])) {
+        errors[action] = 'In use by another application';
+      }
+    } catch (err) {
+      errors[action] = 'Invalid shortcut';
+    }
+  }
+
+  return errors;
+}
+
+module.exports = {
+  DEFAULT_HOTKEYS,
+  HOTKEY_LABELS,
+  normalizeHotkeys,
+  findConflict,
+  registerHotkeys,
+};
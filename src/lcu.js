@@ -0,0 +1,229 @@
+const fs = require('fs');
+const http = require('http');
+const https = require('https');
+
+// League Client (LCU) API: the local REST API of the League client (not the game), which knows the
+// queue, champion select and summoner before the game loads
+//
+// The client writes a lockfile while it runs: "<process>:<pid>:<port>:<password>:<protocol>".
+// Requests go to 127.0.0.1:<port> with basic auth riot:<password> over HTTPS with a self-signed
+// certificate. The client also offers a WAMP websocket, but polling the few endpoints we need keeps
+// this free of extra dependencies (same approach as the Live Client poller).
+
+// Default install locations, overridable with NEXRA_LCU_LOCKFILE
+const DEFAULT_LOCKFILE_PATHS = {
+  win32: ['C:\\Riot Games\\League of Legends\\lockfile'],
+  darwin: ['/Applications/League of Legends.app/Contents/LoL/lockfile'],
+  linux: [],
+};
+
+const REQUEST_TIMEOUT = 2000;
+
+// Gameflow phases reported by /lol-gameflow/v1/gameflow-phase:
+//   None, Lobby, Matchmaking, ReadyCheck, ChampSelect, GameStart, InProgress, Reconnect,
+//   WaitingForStats, PreEndOfGame, EndOfGame
+const PRE_QUEUE_PHASES = ['None', 'Lobby', 'Matchmaking'];
+
+function getLockfilePaths() {
+  if (process.env.NEXRA_LCU_LOCKFILE) return [process.env.NEXRA_LCU_LOCKFILE];
+  return DEFAULT_LOCKFILE_PATHS[process.platform] || [];
+}
+
+// { processName, pid, port, password, protocol } or null if the content isn't a lockfile
+function parseLockfile(content) {
+  const parts = String(content).trim().split(':');
+  if (parts.length !== 5) return null;
+
+  const [processName, pid, port, password, protocol] = parts;
+  if (!/^\d+$/.test(port) || !password || !['http', 'https'].includes(protocol)) return null;
+  return { processName, pid: parseInt(pid, 10), port: parseInt(port, 10), password, protocol };
+}
+
+function readLockfile(lockfilePaths) {
+  for (const lockfilePath of lockfilePaths) {
+    try {
+      const lockfile = parseLockfile(fs.readFileSync(lockfilePath, 'utf8'));
+      if (lockfile) return lockfile;
+    } catch (e) {
+      // Not running, or installed elsewhere
+    }
+  }
+  return null;
+}
+
+// GET an LCU endpoint: parsed JSON, null for a 404 (e.g. no champ select right now), or throws when
+// the client can't be reached
+function requestLcu(lockfile, endpoint) {
+  const client = lockfile.protocol === 'https' ? https : http;
+  const auth = Buffer.from(`riot:${lockfile.password}`).toString('base64');
+
+  return new Promise((resolve, reject) => {
+    const req = client.get({
+      host: '127.0.0.1',
+      port: lockfile.port,
+      path: endpoint,
+      headers: { Authorization: `Basic ${auth}`, Accept: 'application/json' },
+      rejectUnauthorized: false,
+      timeout: REQUEST_TIMEOUT,
+    }, (res) => {
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        if (res.statusCode === 404) {
+          resolve(null);
+          return;
+        }
+        if (res.statusCode !== 200) {
+          reject(new Error(`LCU ${endpoint} returned ${res.statusCode}`));
+          return;
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch (e) {
+          reject(new Error(`LCU ${endpoint} returned invalid JSON`));
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy(new Error('LCU request timed out')));
+    req.on('error', reject);
+  });
+}
+
+// The local player's pick from a champ select session: { championId, role }
+function getLocalPick(champSelect) {
+  if (!champSelect) return null;
+  const me = (champSelect.myTeam || []).find(member => member.cellId === champSelect.localPlayerCellId);
+  if (!me) return null;
+  return {
+    championId: me.championId || me.championPickIntent || null,
+    role: me.assignedPosition || null,
+  };
+}
+
+// Everything we know about the upcoming/current game from the client
+function buildContext({ phase, session, champSelect, summoner, champions }) {
+  const queue = session?.gameData?.queue || {};
+  const pick = getLocalPick(champSelect);
+  const championId = pick?.championId || null;
+
+  return {
+    phase,
+    gameId: session?.gameData?.gameId || null,
+    queueId: Number.isInteger(queue.id) && queue.id > 0 ? queue.id : null,
+    gameMode: queue.gameMode || session?.map?.gameMode || null,
+    isCustomGame: session?.gameData?.isCustomGame === true,
+    isPracticeTool: (queue.gameMode || session?.map?.gameMode) === 'PRACTICETOOL',
+    championId,
+    champion: championId ? champions.get(championId) || null : null,
+    role: pick?.role ? pick.role.toUpperCase() : null,
+    summoner: summoner ? {
+      puuid: summoner.puuid,
+      gameName: summoner.gameName || summoner.displayName || null,
+      tagLine: summoner.tagLine || null,
+    } : null,
+  };
+}
+
+function sameContext(a, b) {
+  return JSON.stringify(a) === JSON.stringify(b);
+}
+
+// Poll the League client while it runs and report what changes:
+//   onConnect(summoner) / onDisconnect()   client started / closed
+//   onPhase(phase, previousPhase)          gameflow phase changes
+//   onContext(context)                     queue, champion, role, summoner... (see buildContext)
+function createLcuConnector({ lockfilePaths = getLockfilePaths(), interval = 2000, onConnect, onDisconnect, onPhase, onContext }) {
+  let timer = null;
+  let polling = false;
+  let lockfile = null;
+  let summoner = null;
+  let champions = new Map(); // championId -> champion alias (the Data Dragon id, e.g. 'MonkeyKing')
+  let phase = null;
+  let context = null;
+  let lastError = null; // logged once, not on every poll
+
+  function disconnect() {
+    if (!lockfile) return;
+    lockfile = null;
+    summoner = null;
+    phase = null;
+    context = null;
+    console.log('LCU: client closed');
+    if (onDisconnect) onDisconnect();
+  }
+
+  async function connect(found) {
+    summoner = await requestLcu(found, '/lol-summoner/v1/current-summoner');
+    const summary = await requestLcu(found, '/lol-game-data/assets/v1/champion-summary.json').catch(() => null);
+    champions = new Map((summary || []).filter(c => c.id > 0).map(c => [c.id, c.alias]));
+    lockfile = found;
+    console.log('LCU: connected on port', lockfile.port, summoner ? `as ${summoner.gameName}#${summoner.tagLine}` : '');
+    if (onConnect) onConnect(summoner);
+  }
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      const found = readLockfile(lockfilePaths);
+      // A new port or password means the client restarted
+      if (!found || (lockfile && (found.port !== lockfile.port || found.password !== lockfile.password))) {
+        disconnect();
+      }
+      if (!found) return;
+      if (!lockfile) await connect(found);
+
+      const nextPhase = await requestLcu(lockfile, '/lol-gameflow/v1/gameflow-phase');
+      lastError = null;
+      if (nextPhase !== phase) {
+        const previous = phase;
+        phase = nextPhase;
+        console.log(`LCU: ${previous || 'connected'} -> ${phase}`);
+        if (onPhase) onPhase(phase, previous);
+      }
+
+      const inGameflow = !!phase && !PRE_QUEUE_PHASES.includes(phase);
+      const session = inGameflow ? await requestLcu(lockfile, '/lol-gameflow/v1/session') : null;
+      const champSelect = phase === 'ChampSelect' ? await requestLcu(lockfile, '/lol-champ-select/v1/session') : null;
+
+      const nextContext = buildContext({ phase, session, champSelect, summoner, champions });
+      // The pick is only visible during champ select - keep it for the game that follows
+      if (!nextContext.championId && context?.championId && inGameflow) {
+        Object.assign(nextContext, { championId: context.championId, champion: context.champion, role: context.role });
+      }
+      if (!sameContext(nextContext, context)) {
+        context = nextContext;
+        if (onContext) onContext(context);
+      }
+    } catch (err) {
+      // Usually the client still starting up, or busy while the game loads - retried next poll.
+      // Closing the client removes the lockfile, which disconnects above.
+      if (err.message !== lastError) console.error('LCU poll error:', err.message);
+      lastError = err.message;
+    } finally {
+      polling = false;
+    }
+  };
+
+  return {
+    start() {
+      if (timer) return;
+      poll();
+      timer = setInterval(poll, interval);
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+      disconnect();
+    },
+    isConnected: () => !!lockfile,
+    getContext: () => context,
+  };
+}
+
+module.exports = {
+  getLockfilePaths,
+  parseLockfile,
+  buildContext,
+  createLcuConnector,
+};
@@ -0,0 +1,230 @@
+const http = require('http');
+const https = require('https');
+
+// League Live Client Data API (served by the game on https://127.0.0.1:2999 with a self-signed certificate)
+// https://developer.riotgames.com/docs/lol#game-client-api_live-client-data-api
+
+const DEFAULT_LIVE_CLIENT_URL = 'https://127.0.0.1:2999';
+const REQUEST_TIMEOUT = 2000;
+
+// Objectives worth a clip whoever took them
+const OBJECTIVE_EVENTS = {
+  DragonKill: { label: 'Dragon', severity: 'medium' },
+  HeraldKill: { label: 'Rift Herald', severity: 'medium' },
+  HordeKill: { label: 'Voidgrub', severity: 'low' },
+  BaronKill: { label: 'Baron', severity: 'high' },
+  TurretKilled: { label: 'Turret', severity: 'low' },
+  InhibKilled: { label: 'Inhibitor', severity: 'medium' },
+};
+
+const CLIP_LEAD_TIME = 15; // seconds of context before the event
+const CLIP_TAIL_TIME = 5; // seconds after the event
+
+// GET a Live Client endpoint, resolving to parsed JSON or null (game not running / still loading).
+// onResponse is called for any HTTP answer, even an error status: the API is there.
+function getLiveClientData(baseUrl, endpoint, onResponse) {
+  const url = new URL(`/liveclientdata/${endpoint}`, baseUrl);
+  const client = url.protocol === 'https:' ? https : http;
+
+  return new Promise((resolve) => {
+    const req = client.get(url, { rejectUnauthorized: false, timeout: REQUEST_TIMEOUT }, (res) => {
+      if (onResponse) onResponse(res.statusCode);
+      let body = '';
+      res.on('data', chunk => body += chunk);
+      res.on('end', () => {
+        if (res.statusCode !== 200) {
+          resolve(null);
+          return;
+        }
+        try {
+          resolve(JSON.parse(body));
+        } catch (e) {
+          resolve(null);
+        }
+      });
+    });
+    req.on('timeout', () => req.destroy());
+    req.on('error', () => resolve(null));
+  });
+}
+
+// Event names are riot IDs ("Name#TAG") or just the game name depending on the patch
+function isPlayer(name, activePlayerName) {
+  if (!name || !activePlayerName) return false;
+  return name === activePlayerName || name === activePlayerName.split('#')[0];
+}
+
+// Poll the event feed while a game is running and report each new event once.
+// onGameTime receives each game clock reading with the wall time it was taken at, for clock sync.
+// onDeathState is called when the active player dies or respawns.
+// onReachable is called once, when the API first answers (it does during the loading screen).
+function createLiveClientPoller({ baseUrl = DEFAULT_LIVE_CLIENT_URL, interval = 2000, onEvent, onActivePlayer, onGameTime, onDeathState, onReachable }) {
+  let timer = null;
+  let polling = false;
+  let activePlayerName = null;
+  let isDead = false;
+  let reachable = false;
+  const seenEventIds = new Set();
+
+  const markReachable = () => {
+    if (reachable) return;
+    reachable = true;
+    if (onReachable) onReachable();
+  };
+  const get = endpoint => getLiveClientData(baseUrl, endpoint, markReachable);
+
+  const poll = async () => {
+    if (polling) return;
+    polling = true;
+    try {
+      if (!activePlayerName) {
+        const name = await get('activeplayername');
+        if (typeof name === 'string' && name) {
+          activePlayerName = name;
+          console.log('Live client: active player', name);
+          if (onActivePlayer) onActivePlayer(name);
+        }
+      }
+
+      if (onGameTime) {
+        const requestedAt = Date.now();
+        const stats = await get('gamestats');
+        if (stats && typeof stats.gameTime === 'number') {
+          // The reading was taken somewhere during the request; assume the middle
+          onGameTime(stats.gameTime, Math.round((requestedAt + Date.now()) / 2));
+        }
+      }
+
+      if (onDeathState && activePlayerName) {
+        const players = await get('playerlist');
+        const player = (players || []).find(p => isPlayer(p.riotId, activePlayerName) || isPlayer(p.summonerName, activePlayerName));
+        if (player && !!player.isDead !== isDead) {
+          isDead = !!player.isDead;
+          onDeathState(isDead, player.respawnTimer || 0);
+        }
+      }
+
+      const data = await get('eventdata');
+      const events = data?.Events || [];
+      for (const event of events) {
+        if (seenEventIds.has(event.EventID)) continue;
+        seenEventIds.add(event.EventID);
+        onEvent({ ...event, wallTime: Date.now() });
+      }
+    } catch (err) {
+      console.error('Live client poll error:', err.message);
+    } finally {
+      polling = false;
+    }
+  };
+
+  return {
+    start() {
+      if (timer) return;
+      poll();
+      timer = setInterval(poll, interval);
+    },
+    stop() {
+      if (timer) clearInterval(timer);
+      timer = null;
+    },
+    getActivePlayerName: () => activePlayerName,
+  };
+}
+
+// Turn a recorded event log into clips shaped like the ones returned by the timeline endpoint
+function buildClipsFromEvents(events, activePlayerName) {
+  const clips = [];
+
+  const clipAround = (event, fields) => ({
+    startTime: Math.max(0, Math.floor(event.EventTime - CLIP_LEAD_TIME)),
+    endTime: Math.ceil(event.EventTime + CLIP_TAIL_TIME),
+    duration: CLIP_LEAD_TIME + CLIP_TAIL_TIME,
+    eventTime: event.EventTime,
+    source: 'live-client',
+    ...fields,
+  });
+
+  for (const event of events) {
+    if (event.EventName === 'ChampionKill') {
+      if (isPlayer(event.VictimName, activePlayerName)) {
+        clips.push(clipAround(event, {
+          type: 'death',
+          severity: 'high',
+          description: `Killed by ${event.KillerName}`,
+        }));
+      } else if (isPlayer(event.KillerName, activePlayerName)) {
+        clips.push(clipAround(event, {
+          type: 'kill',
+          severity: 'medium',
+          description: `Killed ${event.VictimName}`,
+        }));
+      } else if ((event.Assisters || []).some(name => isPlayer(name, activePlayerName))) {
+        clips.push(clipAround(event, {
+          type: 'kill',
+          severity: 'low',
+          description: `Assisted on ${event.VictimName}`,
+        }));
+      }
+    } else if (event.EventName === 'Multikill' && isPlayer(event.KillerName, activePlayerName)) {
+      clips.push(clipAround(event, {
+        type: 'kill',
+        severity: 'critical',
+        description: `Multikill (${event.KillStreak})`,
+      }));
+    } else if (OBJECTIVE_EVENTS[event.EventName]) {
+      const { label, severity } = OBJECTIVE_EVENTS[event.EventName];
+      const byPlayer = isPlayer(event.KillerName, activePlayerName);
+      // Structures only matter when the player took them; epic monsters always do
+      if (!byPlayer && (event.EventName === 'TurretKilled' || event.EventName === 'InhibKilled')) continue;
+      clips.push(clipAround(event, {
+        type: 'objective',
+        severity,
+        description: event.Stolen === 'True' ? `${label} stolen` : `${label} taken`,
+      }));
+    }
+  }
+
+  return clips;
+}
+
+// Short label and category ('kill', 'death', 'objective', 'other') for showing an event on a timeline
+function describeEvent(event, activePlayerName) {
+  switch (event.EventName) {
+    case 'ChampionKill':
+      if (isPlayer(event.VictimName, activePlayerName)) {
+        return { category: 'death', label: `Killed by ${event.KillerName}` };
+      }
+      if (isPlayer(event.KillerName, activePlayerName)) {
+        return { category: 'kill', label: `Killed ${event.VictimName}` };
+      }
+      if ((event.Assisters || []).some(name => isPlayer(name, activePlayerName))) {
+        return { category: 'kill', label: `Assisted on ${event.VictimName}` };
+      }
+      return { category: 'other', label: `${event.KillerName} killed ${event.VictimName}` };
+    case 'Multikill':
+      return { category: isPlayer(event.KillerName, activePlayerName) ? 'kill' : 'other', label: `${event.KillerName} multikill (${event.KillStreak})` };
+    case 'FirstBlood':
+      return { category: 'other', label: `First blood: ${event.Recipient}` };
+    case 'Ace':
+      return { category: 'other', label: `Ace by ${event.Acer}` };
+    case 'GameStart':
+      return { category: 'other', label: 'Game start' };
+    case 'GameEnd':
+      return { category: 'other', label: event.Result ? `Game end (${event.Result})` : 'Game end' };
+    default:
+      if (OBJECTIVE_EVENTS[event.EventName]) {
+        const { label } = OBJECTIVE_EVENTS[event.EventName];
+        return { category: 'objective', label: `${event.Stolen === 'True' ? `${label} stolen` : label} - ${event.KillerName}` };
+      }
+      return { category: 'other', label: event.EventName };
+  }
+}
+
+module.exports = {
+  DEFAULT_LIVE_CLIENT_URL,
+  getLiveClientData,
+  createLiveClientPoller,
+  buildClipsFromEvents,
+  describeEvent,
+};
@@ -1,101 +1,193 @@
-const { app, BrowserWindow, ipcMain, desktopCapturer, Tray, Menu, nativeImage, screen, Notification, shell } = require('electron');
+const { app, BrowserWindow, ipcMain, desktopCapturer, Tray, Menu, nativeImage, screen, Notification, shell, dialog, net, globalShortcut, safeStorage } = require('electron');
 const path = require('path');
-const { exec } = require('child_process');
+const os = require('os');
 const fs = require('fs');
 const http = require('http');
+const { pathToFileURL } = require('url');
 const ffmpeg = require('fluent-ffmpeg');
 const ffmpegStatic = require('ffmpeg-static');
 const ffprobeStatic = require('ffprobe-static');
+const { uploadFileMultipart } = require('./multipart-upload');
+const { createUploadQueue } = require('./upload-queue');
+const { createGameDetector } = require('./game-detector');
+const { startGameSession } = require('./game-session');
+const { DEFAULT_LIVE_CLIENT_URL, createLiveClientPoller, buildClipsFromEvents, describeEvent } = require('./live-client');
+const { createClockMapping, wallTimeToVideoTime, gameTimeToVideoTime, videoTimeToGameTime, gameRangeToVideoRange } = require('./game-clock');
+const { createDefaultConfig, loadConfig, saveConfig } = require('./config');
+const { upsertAccount, removeAccount, formatRiotId, findAccountByRiotId } = require('./accounts');
+const { createLcuConnector } = require('./lcu');
+const { isAllowedOrigin, createPairing } = require('./pairing');
+const { RELINK_REQUIRED, createDeviceAuth } = require('./device-auth');
+const { HOTKEY_LABELS, findConflict, registerHotkeys } = require('./hotkeys');
+const { AUTO_PAUSE_LABELS, getAutoPauseReasons } = require('./auto-pause');
+const { readRecordingMeta, updateRecordingMeta, summarizeMatch, deleteRecordingMeta } = require('./recording-meta');
+const { getQueueName } = require('./queues');
+const { QUEUE_CATEGORIES, normalizeRecordingRules, getQueueCategory, getRecordAction, getUploadAction, getRemakeReason } = require('./recording-rules');
+const { normalizeRetention, selectRecordingsToDelete, describeRetention } = require('./retention');
+const {
+  MATCH_HISTORY_COUNT,
+  PENDING_RETRY_DELAY,
+  MAX_PENDING_RETRIES,
+  normalizeMatchWindow,
+  pickBestMatch,
+  getAttemptDelay,
+} = require('./match-correlation');
+const {
+  QUALITY_PRESETS,
+  DEFAULT_UPLOAD_LIMIT_MB,
+  normalizeCustomPreset,
+  normalizeSizeBudget,
+  resolveQuality,
+  describeQuality,
+} = require('./quality');
 
 // Set FFmpeg and FFprobe paths for video clip extraction
 ffmpeg.setFfmpegPath(ffmpegStatic);
 ffmpeg.setFfprobePath(ffprobeStatic.path);
 
 // Config
-const API_URL = 'https://nexra-api.nexra-api.workers.dev';
+const API_URL = process.env.NEXRA_API_URL || 'https://nexra-api.nexra-api.workers.dev';
 const NEXRA_WEB_URL = 'https://nexra-jet.vercel.app';
-const GAME_PROCESS_NAME = 'League of Legends.exe';
+const LIVE_CLIENT_URL = process.env.NEXRA_LIVE_CLIENT_URL || DEFAULT_LIVE_CLIENT_URL;
 const CHECK_INTERVAL = 3000;
 const LINK_SERVER_PORT = 45678; // Local server for account linking from dashboard
-const MIN_GAME_DURATION = 900; // 15 minutes in seconds - skip remakes
+// Sites allowed to talk to the link server: the dashboard, plus NEXRA_LINK_ORIGINS (comma-separated) for development
+const LINK_ALLOWED_ORIGINS = [
+  new URL(NEXRA_WEB_URL).origin,
+  ...(process.env.NEXRA_LINK_ORIGINS || '').split(',').map(origin => origin.trim()).filter(Boolean),
+];
+const LINK_MAX_BODY_SIZE = 16 * 1024;
 const HEARTBEAT_INTERVAL = 20000; // Send heartbeat every 20 seconds
-
-let userConfig = {
-  puuid: null,
-  gameName: null,
-  tagLine: null,
-  region: 'EUW1',
-  profileIconId: null,
-  autoRecord: true,
-  quality: 'medium',
-  configVersion: 2
-};
-
-// Quality presets
-const QUALITY_PRESETS = {
-  low: { width: 854, height: 480, frameRate: 15, bitrate: 300000 },
-  medium: { width: 854, height: 480, frameRate: 20, bitrate: 400000 },
-  high: { width: 1280, height: 720, frameRate: 30, bitrate: 1500000 }
+const UPLOAD_LIMIT_MB = parseInt(process.env.NEXRA_UPLOAD_LIMIT_MB || '', 10) || DEFAULT_UPLOAD_LIMIT_MB;
+const CLOCK_SAMPLE_INTERVAL = 10000; // Keep a game clock sample every 10 seconds for video sync
+// The loading screen is skipped until the Live Client API reports a game clock. The API answers
+// (with errors) during loading, so if it hasn't answered at all after LIVE_CLIENT_GRACE it is
+// disabled or blocked and recording resumes right away; LOADING_SCREEN_TIMEOUT caps the wait otherwise.
+const LIVE_CLIENT_GRACE = 30000;
+const LOADING_SCREEN_TIMEOUT = 120000;
+const GAME_WINDOW_TITLE = 'League of Legends (TM) Client'; // In-game window, used to track focus
+
+let userConfig = createDefaultConfig(); // see config.js for the fields
+let configReadOnly = false; // config.json is from a newer version of the app, see config.js
+
+// Titles of the audio tracks in a recording, used to pick them out when exporting clips
+const AUDIO_TRACK_TITLES = {
+  game: 'Game audio',
+  mic: 'Microphone',
 };
 
 let recorderWindow = null;
 let overlayWindow = null;
 let settingsWindow = null;
+let viewerWindow = null;
 let tray = null;
 let isRecording = false;
-let gameDetectionInterval = null;
+let isPaused = false;
+let pauseReasons = new Set(); // 'manual' and/or auto-pause reasons - paused while any is set
+let recorderStarted = false; // the recorder can only be paused once it has actually started
+let gameState = { loading: false, focused: null, dead: false }; // see auto-pause.js
+let gameWindowFocused = null; // null until the game window has been seen
+let loadingScreenTimer = null;
+let liveClientReachable = false; // the Live Client API answered during the current recording
+let hotkeyErrors = {}; // action -> why its hotkey could not be registered
+let gameDetector = null;
+let stopGameWatch = null;
 let heartbeatInterval = null;
 let currentMatchId = null;
-let gameStartTime = null;
 let gameWasRunning = false;
 let overlayShown = false;
+let overlayHideTimer = null;
 let linkServer = null;
+let pairing = null; // pairing code the dashboard signs link requests with (see pairing.js)
+let deviceAuth = null; // device credential for the Nexra API (see device-auth.js)
 let recordingStartTime = null;
+let activeRecordingFile = null; // { matchId, partPath, micPartPath, audio } while chunks are being written
+let uploadQueue = null;
+let liveClientPoller = null;
+let currentEventLog = null; // { path, data } for the recording in progress
+let activeMatchSearches = new Set(); // recordings whose match is being polled for right now
+let pendingMatchTimer = null;
+let lcuConnector = null;
+let lcuContext = null; // what the League client knows about the upcoming/current game, see lcu.js
+
+function getConfigPath() {
+  return path.join(app.getPath('userData'), 'config.json');
+}
 
 // Load config
 function loadUserConfig() {
-  const configPath = path.join(app.getPath('userData'), 'config.json');
-  try {
-    if (fs.existsSync(configPath)) {
-      const savedConfig = JSON.parse(fs.readFileSync(configPath, 'utf8'));
-
-      // Load account data
-      userConfig.puuid = savedConfig.puuid || null;
-      userConfig.gameName = savedConfig.gameName || null;
-      userConfig.tagLine = savedConfig.tagLine || null;
-      userConfig.region = savedConfig.region || 'EUW1';
-      userConfig.profileIconId = savedConfig.profileIconId || null;
-
-      // Reset settings to correct defaults if config version is old
-      if (savedConfig.configVersion !== 2) {
-        userConfig.autoRecord = true;
-        userConfig.quality = 'medium';
-        userConfig.configVersion = 2;
-        saveUserConfig();
-        console.log('Config reset to new defaults');
-      } else {
-        userConfig.autoRecord = savedConfig.autoRecord;
-        userConfig.quality = savedConfig.quality;
-        userConfig.configVersion = savedConfig.configVersion;
-      }
-
-      console.log('Config loaded:', userConfig.gameName ? `${userConfig.gameName}#${userConfig.tagLine}` : 'No account');
-    }
-  } catch (e) {
-    console.error('Failed to load config:', e.message);
+  const { config, source, migrated, readOnly } = loadConfig(getConfigPath());
+  userConfig = config;
+  configReadOnly = readOnly;
+  if (readOnly) {
+    showNotification('Settings not saved', 'config.json is from a newer version of Nexra Vision. Changes made in this version only last until it quits.');
   }
+
+  // Write back migrated or recovered configs so the fix sticks
+  if (migrated || source === 'backup') saveUserConfig();
+
+  console.log('Config loaded:', userConfig.accounts.length > 0 ? userConfig.accounts.map(formatRiotId).join(', ') : 'No account');
 }
 
 // Save config
 function saveUserConfig() {
-  const configPath = path.join(app.getPath('userData'), 'config.json');
+  if (configReadOnly) {
+    console.log('Config is from a newer version of the app, not saving it');
+    return;
+  }
   try {
-    fs.writeFileSync(configPath, JSON.stringify(userConfig, null, 2));
+    saveConfig(getConfigPath(), userConfig);
   } catch (e) {
     console.error('Failed to save config:', e.message);
   }
 }
 
+// Linked account by puuid
+function getAccount(puuid) {
+  return userConfig.accounts.find(account => account.puuid === puuid) || null;
+}
+
+// The account playing right now (or last), used when a game or recording doesn't name one
+function getActiveAccount() {
+  return getAccount(userConfig.activeAccountPuuid) || userConfig.accounts[0] || null;
+}
+
+// The account a recording was made on
+function getAccountForRecording(videoPath) {
+  return getAccount(readRecordingMeta(videoPath).accountPuuid) || getActiveAccount();
+}
+
+function linkAccount(account) {
+  userConfig.accounts = upsertAccount(userConfig.accounts, account);
+  if (!getAccount(userConfig.activeAccountPuuid)) userConfig.activeAccountPuuid = account.puuid;
+  saveUserConfig();
+  updateTrayMenu();
+  sendStateToSettings();
+}
+
+function setActiveAccount(puuid) {
+  if (!getAccount(puuid) || userConfig.activeAccountPuuid === puuid) return;
+  userConfig.activeAccountPuuid = puuid;
+  saveUserConfig();
+  updateTrayMenu();
+  sendStateToSettings();
+}
+
+// Attribute the game in progress to the linked account the Live Client says is playing
+function selectAccountForPlayer(riotId) {
+  const account = findAccountByRiotId(userConfig.accounts, riotId);
+  if (!account) {
+    console.log(`Active player ${riotId} is not a linked account - keeping ${formatRiotId(getActiveAccount()) || 'no account'}`);
+    return;
+  }
+
+  if (account.puuid !== userConfig.activeAccountPuuid) {
+    console.log('Switched to account:', formatRiotId(account));
+    setActiveAccount(account.puuid);
+  }
+  if (activeRecordingFile) updateRecordingMeta(activeRecordingFile.partPath, { accountPuuid: account.puuid });
+}
+
 // Fetch user config from Nexra
 async function fetchUserConfigFromNexra() {
   try {
@@ -108,12 +200,7 @@ async function fetchUserConfigFromNexra() {
     if (response.ok) {
       const data = await response.json();
       if (data && data.puuid) {
-        userConfig.puuid = data.puuid;
-        userConfig.gameName = data.gameName;
-        userConfig.tagLine = data.tagLine;
-        userConfig.region = data.region || 'EUW1';
-        saveUserConfig();
-        updateTrayMenu();
+        linkAccount({ ...data, region: data.region || 'EUW1' });
         return true;
       }
     }
@@ -124,21 +211,21 @@ async function fetchUserConfigFromNexra() {
 }
 
 // Fetch profile icon from Riot API if missing
-async function fetchProfileIconId() {
-  if (!userConfig.gameName || !userConfig.tagLine || userConfig.profileIconId) {
+async function fetchProfileIconId(account) {
+  if (!account || account.profileIconId) {
     return; // No account or already have profileIconId
   }
 
   try {
-    const region = (userConfig.region || 'EUW1').toLowerCase();
-    const url = `${NEXRA_WEB_URL}/api/riot/summoner?gameName=${encodeURIComponent(userConfig.gameName)}&tagLine=${encodeURIComponent(userConfig.tagLine)}&region=${region}`;
+    const region = (account.region || 'EUW1').toLowerCase();
+    const url = `${NEXRA_WEB_URL}/api/riot/summoner?gameName=${encodeURIComponent(account.gameName)}&tagLine=${encodeURIComponent(account.tagLine)}&region=${region}`;
 
     const response = await fetch(url, { timeout: 10000 });
 
     if (response.ok) {
       const data = await response.json();
       if (data.profileIconId) {
-        userConfig.profileIconId = data.profileIconId;
+        userConfig.accounts = upsertAccount(userConfig.accounts, { ...account, profileIconId: data.profileIconId });
         saveUserConfig();
         sendStateToSettings();
         console.log('Profile icon fetched:', data.profileIconId);
@@ -149,29 +236,68 @@ async function fetchProfileIconId() {
   }
 }
 
-// Send heartbeat to API so dashboard knows Vision is running
-async function sendHeartbeat() {
-  if (!userConfig.puuid) {
-    return; // No account linked, skip heartbeat
+// Load the device credential used to authenticate with the Nexra API
+function startDeviceAuth() {
+  deviceAuth = createDeviceAuth({
+    apiUrl: API_URL,
+    filePath: path.join(app.getPath('userData'), 'device-credential.bin'),
+    safeStorage,
+    deviceName: os.hostname(),
+    onChange: () => {
+      updateTrayMenu();
+      sendStateToSettings();
+    },
+  });
+}
+
+// fetch() for API_URL, authenticated as this device
+function apiFetch(url, options) {
+  return deviceAuth.apiFetch(url, options);
+}
+
+// Linked accounts but no device credential (linked before device authentication, or the API
+// revoked it): nothing can be uploaded until the user links again from the dashboard
+function isRelinkRequired() {
+  return userConfig.accounts.length > 0 && !!deviceAuth && !deviceAuth.hasCredential();
+}
+
+function openRelinkPage() {
+  shell.openExternal(`${NEXRA_WEB_URL}/dashboard?link=vision`);
+}
+
+// Uploads that failed for lack of a device credential start over once it is back
+function retryRelinkFailedUploads() {
+  if (!uploadQueue) return;
+  for (const job of uploadQueue.snapshot().jobs) {
+    if (job.status === 'failed' && job.lastError === RELINK_REQUIRED) uploadQueue.retry(job.id);
   }
+}
 
-  try {
-    const response = await fetch(`${API_URL}/vision/heartbeat`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        puuid: userConfig.puuid,
-        version: '1.0.4',
-      }),
-    });
+// Send heartbeat to API so dashboard knows Vision is running - once per linked account, so each
+// account's dashboard sees it
+async function sendHeartbeat() {
+  if (isRelinkRequired()) return;
 
-    if (response.ok) {
-      console.log('Heartbeat sent');
+  await Promise.all(userConfig.accounts.map(async (account) => {
+    try {
+      const response = await apiFetch(`${API_URL}/vision/heartbeat`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          puuid: account.puuid,
+          version: '1.0.4',
+          active: account.puuid === getActiveAccount()?.puuid,
+        }),
+      });
+
+      if (response.ok) {
+        console.log('Heartbeat sent:', formatRiotId(account));
+      }
+    } catch (e) {
+      // Silently fail - heartbeat is not critical
+      console.log('Heartbeat failed (network error)');
     }
-  } catch (e) {
-    // Silently fail - heartbeat is not critical
-    console.log('Heartbeat failed (network error)');
-  }
+  }));
 }
 
 // Start heartbeat interval
@@ -210,6 +336,28 @@ function createRecorderWindow() {
   recorderWindow.webContents.on('did-finish-load', () => {
     console.log('Recorder ready');
   });
+
+  // If the recorder crashes mid-game, salvage what was written to disk and start a fresh recorder
+  recorderWindow.webContents.on('render-process-gone', (event, details) => {
+    console.error('Recorder process gone:', details.reason);
+    const interrupted = activeRecordingFile;
+    activeRecordingFile = null;
+    stopLiveEventLog();
+    resetPauseState();
+    isRecording = false;
+    recordingStartTime = null;
+    updateTrayMenu();
+    sendStateToSettings();
+
+    if (!recorderWindow.isDestroyed()) {
+      recorderWindow.destroy();
+    }
+    createRecorderWindow();
+
+    if (interrupted && fs.existsSync(interrupted.partPath)) {
+      recoverInterruptedRecordings([interrupted.partPath]);
+    }
+  });
 }
 
 // Create overlay window - THIS IS THE KEY PART
@@ -265,9 +413,9 @@ function createSettingsWindow() {
 
   settingsWindow = new BrowserWindow({
     width: 480,
-    height: 340,
+    height: 520,
     x: Math.floor((width - 480) / 2),
-    y: Math.floor((height - 340) / 2),
+    y: Math.floor((height - 520) / 2),
     frame: false,
     resizable: false,
     skipTaskbar: false,
@@ -288,9 +436,133 @@ function createSettingsWindow() {
 
   settingsWindow.on('closed', () => {
     settingsWindow = null;
+    // In case it was closed while capturing a new hotkey
+    applyHotkeys();
+  });
+}
+
+// Replay viewer for a local recording (one window, reused for the next recording opened)
+function openViewerWindow(videoPath) {
+  if (viewerWindow && !viewerWindow.isDestroyed()) {
+    viewerWindow.webContents.send('viewer-data', getViewerData(videoPath));
+    viewerWindow.focus();
+    return;
+  }
+
+  const primaryDisplay = screen.getPrimaryDisplay();
+  const { width, height } = primaryDisplay.workAreaSize;
+  const windowWidth = Math.min(1100, width);
+  const windowHeight = Math.min(720, height);
+
+  viewerWindow = new BrowserWindow({
+    width: windowWidth,
+    height: windowHeight,
+    x: Math.floor((width - windowWidth) / 2),
+    y: Math.floor((height - windowHeight) / 2),
+    minWidth: 640,
+    minHeight: 420,
+    frame: false,
+    show: false,
+    backgroundColor: '#0f0f1a',
+    webPreferences: {
+      nodeIntegration: true,
+      contextIsolation: false,
+    },
+  });
+
+  viewerWindow.loadFile(path.join(__dirname, 'windows', 'viewer.html'));
+
+  viewerWindow.once('ready-to-show', () => {
+    viewerWindow.show();
+    viewerWindow.webContents.send('viewer-data', getViewerData(videoPath));
+  });
+
+  viewerWindow.on('closed', () => {
+    viewerWindow = null;
   });
 }
 
+// Everything the viewer shows, read from the recording's own files so it works offline
+function getViewerData(videoPath) {
+  const meta = readRecordingMeta(videoPath);
+  const eventLog = readEventLog(videoPath);
+  const mapping = createClockMapping(eventLog?.clock);
+  const activePlayerName = eventLog?.activePlayerName || null;
+  const recordedEvents = eventLog?.events || [];
+
+  const events = recordedEvents
+    .map(event => ({
+      ...describeEvent(event, activePlayerName),
+      gameTime: event.EventTime,
+      videoTime: gameTimeToVideoTime(event.EventTime, mapping),
+    }))
+    .filter(event => event.videoTime !== null && event.videoTime >= 0);
+
+  const savedBookmarks = meta.bookmarks || eventLog?.bookmarks || [];
+  const bookmarks = savedBookmarks
+    .map((bookmark, index) => ({
+      label: `Bookmark #${index + 1}`,
+      gameTime: bookmark.gameTime ?? null,
+      videoTime: bookmark.videoTime ?? (typeof bookmark.gameTime === 'number' ? gameTimeToVideoTime(bookmark.gameTime, mapping) : null),
+    }))
+    .filter(bookmark => bookmark.videoTime !== null && bookmark.videoTime !== undefined);
+
+  // Clips that were extracted at upload, or the ones that would be for a recording not uploaded yet
+  const clipsPlanned = !meta.clips;
+  const clips = meta.clips || placeClipsInVideo([
+    ...buildClipsFromEvents(recordedEvents, activePlayerName),
+    ...buildBookmarkClips(savedBookmarks),
+  ], mapping).map(clip => ({
+    type: clip.type,
+    severity: clip.severity,
+    description: clip.description,
+    videoStartTime: clip.videoStartTime,
+    videoDuration: clip.videoDuration || clip.duration || 20,
+  }));
+
+  return {
+    videoUrl: pathToFileURL(videoPath).href,
+    title: meta.champion || path.basename(videoPath, '.webm'),
+    summary: [
+      meta.win !== undefined && meta.win !== null ? (meta.win ? 'Win' : 'Loss') : null,
+      meta.kills !== undefined && meta.kills !== null ? `${meta.kills}/${meta.deaths}/${meta.assists}` : null,
+      getQueueName(meta.queueId) || meta.gameMode || null,
+    ].filter(Boolean).join(' · '),
+    duration: meta.duration || null,
+    synced: mapping.synced,
+    gameTimeAtVideoStart: eventLog?.clock?.gameTimeAtVideoStart ?? null,
+    events,
+    bookmarks,
+    clips,
+    clipsPlanned,
+    videoPath,
+    audioTracks: meta.audioTracks || [],
+  };
+}
+
+// Save a clip from the viewer where the user picks, keeping the audio tracks they ticked.
+// It is extracted to a temp folder first so a failed export leaves nothing at the destination.
+async function exportViewerClip(videoPath, { videoStartTime, videoDuration }, audioTracks) {
+  const { canceled, filePath } = await dialog.showSaveDialog(viewerWindow, {
+    title: 'Export clip',
+    defaultPath: path.join(app.getPath('videos'), `${path.basename(videoPath, '.webm')}_${Math.floor(videoStartTime)}s.webm`),
+    filters: [{ name: 'WebM video', extensions: ['webm'] }],
+  });
+  if (canceled || !filePath) return null;
+
+  const tempDir = fs.mkdtempSync(path.join(app.getPath('temp'), 'nexra-export-'));
+  try {
+    const clip = { type: 'export', description: `export at ${Math.floor(videoStartTime)}s`, videoStartTime, videoDuration };
+    const extracted = await extractSingleClip(videoPath, clip, 0, tempDir, 1, { audioTracks });
+    if (!extracted) throw new Error('FFmpeg could not extract the clip');
+    // Copied rather than renamed: the temp folder can be on another drive
+    fs.copyFileSync(extracted.localPath, filePath);
+    return filePath;
+  } finally {
+    fs.rmSync(tempDir, { recursive: true, force: true });
+  }
+}
+
 // Send current state to settings window
 function sendStateToSettings() {
   if (!settingsWindow || settingsWindow.isDestroyed()) return;
@@ -299,22 +571,120 @@ function sendStateToSettings() {
 
   settingsWindow.webContents.send('app-state', {
     isRecording,
+    isPaused,
     gameDetected: gameWasRunning,
-    account: {
-      gameName: userConfig.gameName,
-      tagLine: userConfig.tagLine,
-      region: userConfig.region,
-      puuid: userConfig.puuid,
-      profileIconId: userConfig.profileIconId,
-    },
+    account: getActiveAccount(),
+    relinkRequired: isRelinkRequired(),
+    accounts: userConfig.accounts.map(account => ({
+      ...account,
+      active: account.puuid === getActiveAccount()?.puuid,
+    })),
     autoRecord: userConfig.autoRecord,
     quality: userConfig.quality || 'medium',
+    qualityDetails: describeQuality(userConfig, UPLOAD_LIMIT_MB),
+    audio: userConfig.audio,
     recordings,
+    retention: { ...userConfig.retention, description: describeRetention(userConfig.retention) },
+    pairing: pairing?.getCode() || null,
+    matchWindowMinutes: userConfig.matchWindowMinutes,
+    recordingRules: {
+      queues: Object.keys(QUEUE_CATEGORIES).map(category => ({
+        category,
+        label: QUEUE_CATEGORIES[category],
+        ...userConfig.recordingRules.queues[category],
+      })),
+      minGameMinutes: userConfig.recordingRules.minGameMinutes,
+    },
+    client: lcuContext ? {
+      phase: lcuContext.phase,
+      champion: lcuContext.champion,
+      queue: lcuContext.isPracticeTool ? 'Practice Tool' : (getQueueName(lcuContext.queueId) || (lcuContext.isCustomGame ? 'Custom' : null)),
+      role: lcuContext.role,
+    } : null,
+    uploads: getUploadQueueState(),
+    hotkeys: Object.keys(HOTKEY_LABELS).map(action => ({
+      action,
+      label: HOTKEY_LABELS[action],
+      accelerator: userConfig.hotkeys[action],
+      error: hotkeyErrors[action] || null,
+    })),
+    autoPause: Object.keys(AUTO_PAUSE_LABELS).map(key => ({
+      key,
+      label: AUTO_PAUSE_LABELS[key],
+      enabled: userConfig.autoPause[key],
+    })),
+    pauseReasons: [...pauseReasons],
   });
 }
 
-// Maximum recordings to keep locally
-const MAX_LOCAL_RECORDINGS = 3;
+// Upload queue summary for the settings window
+function getUploadQueueState() {
+  if (!uploadQueue) return { offline: false, jobs: [] };
+
+  const { offline, jobs } = uploadQueue.snapshot();
+  return {
+    offline,
+    jobs: jobs.map(job => ({
+      id: job.id,
+      name: job.realMatchData?.champion || job.matchId,
+      status: job.status,
+      attempts: job.attempts,
+      lastError: job.lastError,
+      nextAttemptAt: job.nextAttemptAt,
+    })),
+  };
+}
+
+// Directory holding local recordings (created on demand)
+function getRecordingsDir() {
+  const videosDir = path.join(app.getPath('userData'), 'recordings');
+  if (!fs.existsSync(videosDir)) {
+    fs.mkdirSync(videosDir, { recursive: true });
+  }
+  return videosDir;
+}
+
+// Finished recordings, leaving out the temporary files of an unfinished remux or mux
+function isRecordingFile(fileName) {
+  return fileName.endsWith('.webm') && !/\.(remuxed|muxed)\.webm$/.test(fileName);
+}
+
+// Paths sent by windows must point at a recording in our own directory
+function isLocalRecording(videoPath) {
+  return typeof videoPath === 'string' &&
+    isRecordingFile(path.basename(videoPath)) &&
+    path.dirname(path.resolve(videoPath)) === getRecordingsDir();
+}
+
+// Live game events recorded alongside a video: <matchId>.events.json
+function getEventLogPath(videoPath) {
+  return videoPath.replace(/\.webm$/, '.events.json');
+}
+
+function readEventLog(videoPath) {
+  try {
+    return JSON.parse(fs.readFileSync(getEventLogPath(videoPath), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function writeEventLog(videoPath, eventLog) {
+  try {
+    fs.writeFileSync(getEventLogPath(videoPath), JSON.stringify(eventLog, null, 2));
+  } catch (e) {
+    console.error('Failed to save event log:', e.message);
+  }
+}
+
+// Delete a recording together with the files stored next to it
+function deleteRecordingFiles(videoPath) {
+  fs.unlinkSync(videoPath);
+  clearUploadState(videoPath);
+  fs.rmSync(getEventLogPath(videoPath), { force: true });
+  fs.rmSync(getMicPartPath(`${videoPath}.part`), { force: true }); // left over when muxing failed
+  deleteRecordingMeta(videoPath);
+}
 
 // Get list of recordings for UI
 function getRecordingsList() {
@@ -323,7 +693,7 @@ function getRecordingsList() {
 
   try {
     const files = fs.readdirSync(videosDir)
-      .filter(f => f.endsWith('.webm'))
+      .filter(isRecordingFile)
       .map(f => {
         const filePath = path.join(videosDir, f);
         const stats = fs.statSync(filePath);
@@ -335,12 +705,25 @@ function getRecordingsList() {
           hour: '2-digit',
           minute: '2-digit'
         });
+        const meta = readRecordingMeta(filePath);
+        const duration = meta.gameDuration || meta.duration;
         return {
-          name: f.replace('.webm', '').substring(0, 20) + '...',
+          name: meta.champion || `Game ${dateStr}`,
           path: filePath,
           date: dateStr,
           size: `${sizeMB} MB`,
-          mtime: stats.mtime.getTime()
+          mtime: stats.mtime.getTime(),
+          champion: meta.champion || null,
+          win: meta.win ?? null,
+          kda: meta.kills !== undefined && meta.kills !== null ? `${meta.kills}/${meta.deaths}/${meta.assists}` : null,
+          queue: getQueueName(meta.queueId) || meta.gameMode || null,
+          duration: duration ? `${Math.round(duration / 60)} min` : null,
+          uploadStatus: meta.upload?.status || null,
+          matchStatus: meta.matchCorrelation?.status || null,
+          matchConfidence: meta.matchCorrelation?.confidence ?? null,
+          pinned: meta.pinned === true,
+          uploadPending: isUploadPending(filePath),
+          action: recordingActions.get(filePath) || null
         };
       })
       .sort((a, b) => b.mtime - a.mtime);
@@ -351,48 +734,64 @@ function getRecordingsList() {
   }
 }
 
-// Keep only the 3 most recent recordings
+// Recordings with an upload still to run (or still waiting for their match before uploading) are
+// never deleted automatically
+function isUploadPending(videoPath) {
+  const matchStatus = readRecordingMeta(videoPath).matchCorrelation?.status;
+  if (matchStatus === 'searching' || matchStatus === 'pending') return true;
+  return !!uploadQueue && uploadQueue.hasActiveJobFor(videoPath);
+}
+
+// Delete recordings outside the retention policy (count, total size, age), keeping pinned ones
+// and ones still waiting for upload
 function cleanupOldRecordings() {
   const videosDir = path.join(app.getPath('userData'), 'recordings');
   if (!fs.existsSync(videosDir)) return;
 
   try {
-    const files = fs.readdirSync(videosDir)
-      .filter(f => f.endsWith('.webm'))
-      .map(f => ({
-        name: f,
-        path: path.join(videosDir, f),
-        mtime: fs.statSync(path.join(videosDir, f)).mtime.getTime()
-      }))
-      .sort((a, b) => b.mtime - a.mtime);
-
-    // Delete all but the 3 most recent
-    if (files.length > MAX_LOCAL_RECORDINGS) {
-      const toDelete = files.slice(MAX_LOCAL_RECORDINGS);
-      toDelete.forEach(file => {
-        try {
-          fs.unlinkSync(file.path);
-          console.log('Deleted old recording:', file.name);
-        } catch (e) {
-          console.error('Failed to delete:', file.name, e);
-        }
+    const recordings = fs.readdirSync(videosDir)
+      .filter(isRecordingFile)
+      .map(f => {
+        const filePath = path.join(videosDir, f);
+        const stats = fs.statSync(filePath);
+        return {
+          name: f,
+          path: filePath,
+          mtime: stats.mtime.getTime(),
+          size: stats.size,
+          pinned: readRecordingMeta(filePath).pinned === true,
+          uploadPending: isUploadPending(filePath),
+        };
       });
-    }
+
+    selectRecordingsToDelete(recordings, userConfig.retention).forEach(({ recording, reason }) => {
+      try {
+        deleteRecordingFiles(recording.path);
+        console.log(`Deleted old recording (${reason}):`, recording.name);
+      } catch (e) {
+        console.error('Failed to delete:', recording.name, e);
+      }
+    });
   } catch (err) {
     console.error('Error cleaning up recordings:', err);
   }
 }
 
-// Clear all local recordings
+// Clear all local recordings, except pinned ones and ones waiting for upload
 function clearAllRecordings() {
   const videosDir = path.join(app.getPath('userData'), 'recordings');
   if (!fs.existsSync(videosDir)) return 0;
 
   try {
-    const files = fs.readdirSync(videosDir).filter(f => f.endsWith('.webm'));
+    const files = fs.readdirSync(videosDir)
+      .filter(isRecordingFile)
+      .filter(f => {
+        const filePath = path.join(videosDir, f);
+        return readRecordingMeta(filePath).pinned !== true && !isUploadPending(filePath);
+      });
     files.forEach(f => {
       try {
-        fs.unlinkSync(path.join(videosDir, f));
+        deleteRecordingFiles(path.join(videosDir, f));
       } catch (e) {
         console.error('Failed to delete:', f);
       }
@@ -406,12 +805,19 @@ function clearAllRecordings() {
 }
 
 // Show overlay over the game
-function showOverlay() {
+// mode 'prompt' asks whether to record, 'recording' offers a bookmark button while recording (shown
+// when recording starts, and again with the showOverlay hotkey or from the tray)
+function showOverlay(mode = 'prompt') {
   if (!overlayWindow || overlayWindow.isDestroyed()) {
     createOverlayWindow();
   }
 
-  console.log('=== SHOWING OVERLAY ===');
+  console.log('=== SHOWING OVERLAY ===', mode);
+  overlayWindow.webContents.send('overlay-mode', {
+    mode,
+    bookmarkHotkey: userConfig.hotkeys.bookmark,
+    showOverlayHotkey: userConfig.hotkeys.showOverlay,
+  });
 
   // Use full screen bounds (not workArea) to position over fullscreen games
   const primaryDisplay = screen.getPrimaryDisplay();
@@ -450,14 +856,16 @@ function showOverlay() {
     }
   }, 500);
 
-  // Auto-hide after 15 seconds if no action
-  setTimeout(() => {
-    if (overlayWindow && !overlayWindow.isDestroyed() && overlayWindow.isVisible() && !isRecording) {
+  // Auto-hide after 15 seconds if no action (8 seconds for the recording reminder)
+  if (overlayHideTimer) clearTimeout(overlayHideTimer);
+  overlayHideTimer = setTimeout(() => {
+    overlayHideTimer = null;
+    if (overlayWindow && !overlayWindow.isDestroyed() && overlayWindow.isVisible() && (mode === 'recording' || !isRecording)) {
       console.log('Auto-hiding overlay (timeout)');
       hideOverlay();
     }
     clearInterval(keepOnTop);
-  }, 15000);
+  }, mode === 'recording' ? 8000 : 15000);
 }
 
 // Hide overlay
@@ -495,12 +903,13 @@ function createTray() {
 }
 
 function updateTrayMenu() {
-  const accountLabel = userConfig.gameName
-    ? `[OK] ${userConfig.gameName}#${userConfig.tagLine}`
+  const activeAccount = getActiveAccount();
+  const accountLabel = activeAccount
+    ? `[OK] ${formatRiotId(activeAccount)}${userConfig.accounts.length > 1 ? ` (+${userConfig.accounts.length - 1})` : ''}`
     : '[--] No account linked';
 
   const status = isRecording
-    ? '[REC] Recording...'
+    ? (isPaused ? '[||] Paused' : '[REC] Recording...')
     : gameWasRunning
       ? '[ON] Game detected'
       : '[--] Waiting...';
@@ -511,17 +920,30 @@ function updateTrayMenu() {
     { label: 'Open Settings', click: () => createSettingsWindow() },
     { type: 'separator' },
     { label: accountLabel, enabled: false },
+    ...(isRelinkRequired() ? [
+      { label: '[!!] Re-link required', click: () => openRelinkPage() }
+    ] : []),
     { label: status, enabled: false },
+    ...(isRecording ? [
+      { label: 'Add Bookmark', click: () => addBookmark() },
+      { label: 'Show Bookmark Overlay', click: () => showOverlay('recording') }
+    ] : []),
+    ...(gameDetector && gameDetector.name === 'fake' ? [
+      {
+        label: gameWasRunning ? 'Simulate Game End' : 'Simulate Game Start',
+        click: () => gameDetector.setRunning(!gameWasRunning)
+      }
+    ] : []),
     { type: 'separator' },
     {
-      label: userConfig.puuid ? 'Re-sync Account' : 'Link Account',
+      label: activeAccount ? 'Re-sync Account' : 'Link Account',
       click: async () => {
         const success = await fetchUserConfigFromNexra();
         if (!success) {
           shell.openExternal(`${NEXRA_WEB_URL}/dashboard`);
           showNotification('Nexra Vision', 'Log in to Nexra to link account.');
         } else {
-          showNotification('Account Linked', `${userConfig.gameName}#${userConfig.tagLine}`);
+          showNotification('Account Linked', formatRiotId(getActiveAccount()));
         }
       }
     },
@@ -535,28 +957,14 @@ function showNotification(title, body) {
   new Notification({ title, body }).show();
 }
 
-// Check if game is running
-function checkGameRunning() {
-  return new Promise((resolve) => {
-    const cmd = `tasklist /FI "IMAGENAME eq ${GAME_PROCESS_NAME}" /NH`;
-    exec(cmd, { windowsHide: true, timeout: 3000 }, (error, stdout) => {
-      if (error) {
-        resolve(false);
-        return;
-      }
-      resolve(stdout.toLowerCase().includes('league of legends'));
-    });
-  });
-}
-
-// Get complete match data from Riot API
-async function getRealMatchData() {
-  if (!userConfig.puuid) return null;
+// An account's most recent matches from the Riot API (null if the request failed)
+async function fetchRecentMatches(account, count = MATCH_HISTORY_COUNT) {
+  if (!account) return null;
 
   try {
-    console.log('Fetching match data from Riot API...');
+    console.log('Fetching match data from Riot API for', formatRiotId(account));
     const response = await fetch(
-      `${NEXRA_WEB_URL}/api/riot/matches?puuid=${userConfig.puuid}&region=${userConfig.region}&count=1`,
+      `${NEXRA_WEB_URL}/api/riot/matches?puuid=${account.puuid}&region=${account.region}&count=${count}`,
       { timeout: 15000 }
     );
 
@@ -565,150 +973,448 @@ async function getRealMatchData() {
       return null;
     }
 
-    const matches = await response.json();
-    if (matches && matches.length > 0) {
-      const match = matches[0];
-      const gameStartMs = gameStartTime ? gameStartTime.getTime() : 0;
-
-      // Check if this match is from our recorded game (within 5 min tolerance)
-      if (match.timestamp > gameStartMs - 300000) {
-        console.log('Match found:', match.matchId, match.champion);
-
-        // Return ALL available data for analysis
-        return {
-          // Basic info
-          matchId: match.matchId,
-          champion: match.champion,
-          kills: match.kills,
-          deaths: match.deaths,
-          assists: match.assists,
-          win: match.win,
-          duration: match.gameDuration,
-          gameMode: match.gameMode,
-          queueId: match.queueId,
-          timestamp: match.timestamp,
-
-          // Role/Position
-          role: match.role || match.teamPosition || match.individualPosition,
-          lane: match.lane,
-          teamPosition: match.teamPosition,
-
-          // CS and Gold
-          totalMinionsKilled: match.totalMinionsKilled,
-          neutralMinionsKilled: match.neutralMinionsKilled,
-          goldEarned: match.goldEarned,
-          goldSpent: match.goldSpent,
-
-          // Vision
-          visionScore: match.visionScore,
-          wardsPlaced: match.wardsPlaced,
-          wardsKilled: match.wardsKilled,
-          detectorWardsPlaced: match.detectorWardsPlaced,
-
-          // Damage
-          totalDamageDealtToChampions: match.totalDamageDealtToChampions,
-          totalDamageTaken: match.totalDamageTaken,
-          physicalDamageDealtToChampions: match.physicalDamageDealtToChampions,
-          magicDamageDealtToChampions: match.magicDamageDealtToChampions,
-          trueDamageDealtToChampions: match.trueDamageDealtToChampions,
-          damageSelfMitigated: match.damageSelfMitigated,
-          damageDealtToObjectives: match.damageDealtToObjectives,
-          damageDealtToTurrets: match.damageDealtToTurrets,
-
-          // Objectives
-          turretKills: match.turretKills,
-          inhibitorKills: match.inhibitorKills,
-
-          // Combat stats
-          doubleKills: match.doubleKills,
-          tripleKills: match.tripleKills,
-          quadraKills: match.quadraKills,
-          pentaKills: match.pentaKills,
-          largestKillingSpree: match.largestKillingSpree,
-          largestMultiKill: match.largestMultiKill,
-          firstBloodKill: match.firstBloodKill,
-          firstBloodAssist: match.firstBloodAssist,
-          firstTowerKill: match.firstTowerKill,
-          firstTowerAssist: match.firstTowerAssist,
-
-          // CC stats
-          timeCCingOthers: match.timeCCingOthers,
-          totalTimeCCDealt: match.totalTimeCCDealt,
-
-          // Healing/Shielding
-          totalHeal: match.totalHeal,
-          totalDamageShieldedOnTeammates: match.totalDamageShieldedOnTeammates,
-
-          // Items and Level
-          items: match.items,
-          champLevel: match.champLevel,
-          summoner1Id: match.summoner1Id,
-          summoner2Id: match.summoner2Id,
-          perks: match.perks,
-
-          // Player ranking in game (1 = MVP)
-          rank: match.rank,
-
-          // Teammates and enemies (for context)
-          teammates: match.teammates,
-          enemies: match.enemies,
-        };
-      } else {
-        console.log('Match found but timestamp too old, not from this game');
-      }
-    }
+    return await response.json();
   } catch (e) {
     console.error('Error fetching match:', e.message);
+    return null;
   }
-  return null;
 }
 
-// Game detection loop
-function startGameDetection() {
-  console.log('Game detection started');
+// The match fields passed on for analysis
+function toMatchData(match) {
+  return {
+    // Basic info
+    matchId: match.matchId,
+    champion: match.champion,
+    kills: match.kills,
+    deaths: match.deaths,
+    assists: match.assists,
+    win: match.win,
+    duration: match.gameDuration,
+    gameMode: match.gameMode,
+    queueId: match.queueId,
+    timestamp: match.timestamp,
+    gameEndedInEarlySurrender: match.gameEndedInEarlySurrender,
+
+    // Role/Position
+    role: match.role || match.teamPosition || match.individualPosition,
+    lane: match.lane,
+    teamPosition: match.teamPosition,
+
+    // CS and Gold
+    totalMinionsKilled: match.totalMinionsKilled,
+    neutralMinionsKilled: match.neutralMinionsKilled,
+    goldEarned: match.goldEarned,
+    goldSpent: match.goldSpent,
+
+    // Vision
+    visionScore: match.visionScore,
+    wardsPlaced: match.wardsPlaced,
+    wardsKilled: match.wardsKilled,
+    detectorWardsPlaced: match.detectorWardsPlaced,
+
+    // Damage
+    totalDamageDealtToChampions: match.totalDamageDealtToChampions,
+    totalDamageTaken: match.totalDamageTaken,
+    physicalDamageDealtToChampions: match.physicalDamageDealtToChampions,
+    magicDamageDealtToChampions: match.magicDamageDealtToChampions,
+    trueDamageDealtToChampions: match.trueDamageDealtToChampions,
+    damageSelfMitigated: match.damageSelfMitigated,
+    damageDealtToObjectives: match.damageDealtToObjectives,
+    damageDealtToTurrets: match.damageDealtToTurrets,
+
+    // Objectives
+    turretKills: match.turretKills,
+    inhibitorKills: match.inhibitorKills,
+
+    // Combat stats
+    doubleKills: match.doubleKills,
+    tripleKills: match.tripleKills,
+    quadraKills: match.quadraKills,
+    pentaKills: match.pentaKills,
+    largestKillingSpree: match.largestKillingSpree,
+    largestMultiKill: match.largestMultiKill,
+    firstBloodKill: match.firstBloodKill,
+    firstBloodAssist: match.firstBloodAssist,
+    firstTowerKill: match.firstTowerKill,
+    firstTowerAssist: match.firstTowerAssist,
+
+    // CC stats
+    timeCCingOthers: match.timeCCingOthers,
+    totalTimeCCDealt: match.totalTimeCCDealt,
+
+    // Healing/Shielding
+    totalHeal: match.totalHeal,
+    totalDamageShieldedOnTeammates: match.totalDamageShieldedOnTeammates,
+
+    // Items and Level
+    items: match.items,
+    champLevel: match.champLevel,
+    summoner1Id: match.summoner1Id,
+    summoner2Id: match.summoner2Id,
+    perks: match.perks,
+
+    // Player ranking in game (1 = MVP)
+    rank: match.rank,
+
+    // Teammates and enemies (for context)
+    teammates: match.teammates,
+    enemies: match.enemies,
+  };
+}
+
+// Game detection loop - pass a detector (e.g. a fake one) to drive it from tests
+function startGameDetection(detector = createGameDetector({ processNames: userConfig.gameProcessNames })) {
+  gameDetector = detector;
+  console.log('Game detection started:', detector.name);
+  updateTrayMenu();
+
+  stopGameWatch = startGameSession(detector, {
+    interval: CHECK_INTERVAL,
+    isRecording: () => isRecording,
 
-  gameDetectionInterval = setInterval(async () => {
-    const isRunning = await checkGameRunning();
+    // The queue rule decides, when the League client told us the queue
+    decideRecording: () => {
+      const category = getQueueCategory(lcuContext && LCU_GAME_PHASES.includes(lcuContext.phase) ? lcuContext : {});
+      const action = getRecordAction(userConfig.recordingRules, category);
 
-    // Game started
-    if (isRunning && !gameWasRunning) {
-      console.log('🎮 GAME STARTED!');
-      gameStartTime = new Date();
-      gameWasRunning = true;
+      if (action === 'skip') {
+        console.log(`Not recording: ${QUEUE_CATEGORIES[category]} games are skipped`);
+        return 'skip';
+      }
+      if (userConfig.autoRecord && action === 'record') {
+        // Auto-record: start directly without overlay
+        console.log('Auto-recording enabled, starting recording...');
+        return 'record';
+      }
+      // Manual mode (or a queue set to ask): show overlay to ask user
+      return 'ask';
+    },
+
+    startRecording,
+    stopRecording,
+
+    askToRecord: () => {
+      if (overlayShown) return;
+      console.log('Showing overlay to ask user...');
+      showOverlay();
+    },
+
+    // Game detected - no notification needed, overlay shows instead
+    onGameChange: (running) => {
+      gameWasRunning = running;
       overlayShown = false;
       updateTrayMenu();
+      if (!running) hideOverlay();
+    },
+  });
+}
 
-      // Game detected - no notification needed, overlay shows instead
-
-      // Start recording after delay (let game load)
-      setTimeout(() => {
-        if (gameWasRunning && !isRecording) {
-          if (userConfig.autoRecord) {
-            // Auto-record: start directly without overlay
-            console.log('Auto-recording enabled, starting recording...');
-            startRecording();
-          } else if (!overlayShown) {
-            // Manual mode: show overlay to ask user
-            console.log('Showing overlay to ask user...');
-            showOverlay();
-          }
-        }
-      }, 5000);
+// Record Live Client events for the current recording into its event log
+function startLiveEventLog(matchId) {
+  stopLiveEventLog();
+
+  currentEventLog = {
+    path: path.join(getRecordingsDir(), `${matchId}.events.json`),
+    data: {
+      matchId,
+      activePlayerName: null,
+      events: [],
+      // See game-clock.js - recordingStartedAt is set once the recorder reports video time 0
+      clock: { recordingStartedAt: null, samples: [], pauses: [] },
+    },
+  };
+
+  liveClientReachable = false;
+  liveClientPoller = createLiveClientPoller({
+    baseUrl: LIVE_CLIENT_URL,
+    onReachable: () => {
+      liveClientReachable = true;
+    },
+    onActivePlayer: (name) => {
+      currentEventLog.data.activePlayerName = name;
+      saveCurrentEventLog();
+      selectAccountForPlayer(name);
+    },
+    onEvent: (event) => {
+      currentEventLog.data.events.push(event);
+      console.log(`Live event: ${event.EventName} @ ${Math.round(event.EventTime)}s`);
+      saveCurrentEventLog();
+    },
+    onGameTime: (gameTime, wallTime) => {
+      // The Live Client API only reports a game clock once the loading screen is over
+      if (gameState.loading) setGameLoading(false);
+
+      const { samples } = currentEventLog.data.clock;
+      const last = samples[samples.length - 1];
+      if (!last || wallTime - last.wallTime >= CLOCK_SAMPLE_INTERVAL) {
+        samples.push({ wallTime, gameTime });
+        saveCurrentEventLog();
+      }
+    },
+    onDeathState: (dead, respawnTimer) => {
+      console.log(dead ? `Player dead (respawn in ${Math.round(respawnTimer)}s)` : 'Player respawned');
+      gameState.dead = dead;
+      applyAutoPause();
+    },
+  });
+  liveClientPoller.start();
+}
+
+function saveCurrentEventLog() {
+  if (!currentEventLog) return;
+  try {
+    fs.writeFileSync(currentEventLog.path, JSON.stringify(currentEventLog.data, null, 2));
+  } catch (e) {
+    console.error('Failed to save event log:', e.message);
+  }
+}
+
+function stopLiveEventLog() {
+  if (liveClientPoller) {
+    liveClientPoller.stop();
+    liveClientPoller = null;
+  }
+  currentEventLog = null;
+}
+
+// Register the global hotkeys from the user's config
+function applyHotkeys() {
+  hotkeyErrors = registerHotkeys(globalShortcut, userConfig.hotkeys, {
+    toggleRecording: () => (isRecording ? stopRecording() : startRecording()),
+    togglePause: () => setPauseReason('manual', !pauseReasons.has('manual')),
+    bookmark: () => addBookmark(),
+    showOverlay: () => {
+      if (isRecording) showOverlay('recording');
+    },
+  });
+
+  Object.entries(hotkeyErrors).forEach(([action, error]) => {
+    console.log(`Hotkey ${userConfig.hotkeys[action]} (${action}) not registered: ${error}`);
+  });
+}
+
+// Add or remove a reason for the recorder to be paused
+function setPauseReason(reason, active) {
+  if (!isRecording) return;
+  if (active) {
+    pauseReasons.add(reason);
+  } else {
+    pauseReasons.delete(reason);
+  }
+  syncPauseState();
+}
+
+// Re-evaluate the auto-pause policy against the current game state
+function applyAutoPause() {
+  if (!isRecording) return;
+  const active = getAutoPauseReasons(userConfig.autoPause, gameState);
+  for (const reason of Object.keys(AUTO_PAUSE_LABELS)) {
+    if (active.includes(reason)) {
+      pauseReasons.add(reason);
+    } else {
+      pauseReasons.delete(reason);
     }
+  }
+  syncPauseState();
+}
 
-    // Game ended
-    if (!isRunning && gameWasRunning) {
-      console.log('🏁 GAME ENDED!');
-      gameWasRunning = false;
-      overlayShown = false;
-      updateTrayMenu();
-      hideOverlay();
+// Pause or resume the recorder to match pauseReasons, keeping each pause interval (and why it
+// happened) so game timestamps still map onto the video
+function syncPauseState() {
+  if (!isRecording || !recorderStarted) return;
 
-      if (isRecording) {
-        stopRecording();
+  const shouldPause = pauseReasons.size > 0;
+  const pauses = currentEventLog ? currentEventLog.data.clock.pauses : [];
+
+  if (shouldPause && !isPaused) {
+    isPaused = true;
+    if (recorderWindow && !recorderWindow.isDestroyed()) {
+      recorderWindow.webContents.send('pause-recording');
+    }
+    if (currentEventLog) {
+      pauses.push({ start: Date.now(), end: null, reasons: [...pauseReasons] });
+      saveCurrentEventLog();
+    }
+    console.log('Recording paused:', [...pauseReasons].join(', '));
+  } else if (!shouldPause && isPaused) {
+    isPaused = false;
+    if (recorderWindow && !recorderWindow.isDestroyed()) {
+      recorderWindow.webContents.send('resume-recording');
+    }
+    closeCurrentPause();
+    console.log('Recording resumed');
+  } else if (shouldPause && currentEventLog) {
+    // Still paused - remember any reason that joined during this pause
+    const last = pauses[pauses.length - 1];
+    if (last && last.end === null) {
+      const reasons = [...new Set([...(last.reasons || []), ...pauseReasons])];
+      if (reasons.length !== (last.reasons || []).length) {
+        last.reasons = reasons;
+        saveCurrentEventLog();
       }
     }
-  }, CHECK_INTERVAL);
+    return;
+  } else {
+    return;
+  }
+
+  updateTrayMenu();
+  sendStateToSettings();
+}
+
+function setGameLoading(loading) {
+  if (loadingScreenTimer) {
+    clearTimeout(loadingScreenTimer);
+    loadingScreenTimer = null;
+  }
+  gameState.loading = loading;
+  if (loading) {
+    loadingScreenTimer = setTimeout(() => {
+      if (!liveClientReachable) {
+        resumeAfterLoadingScreen('the Live Client API is not answering');
+        return;
+      }
+      loadingScreenTimer = setTimeout(() => {
+        resumeAfterLoadingScreen(`no game clock after ${LOADING_SCREEN_TIMEOUT / 1000}s`);
+      }, LOADING_SCREEN_TIMEOUT - LIVE_CLIENT_GRACE);
+    }, LIVE_CLIENT_GRACE);
+  }
+  applyAutoPause();
+}
+
+// The end of the loading screen couldn't be detected - record from now on rather than miss the game
+function resumeAfterLoadingScreen(reason) {
+  loadingScreenTimer = null;
+  console.log(`Loading screen end not detected (${reason}), resuming recording`);
+  showNotification('Recording Resumed', `Couldn't detect the end of the loading screen: ${reason}`);
+  setGameLoading(false);
+}
+
+function resetPauseState() {
+  if (loadingScreenTimer) {
+    clearTimeout(loadingScreenTimer);
+    loadingScreenTimer = null;
+  }
+  pauseReasons = new Set();
+  recorderStarted = false;
+  isPaused = false;
+  gameState = { loading: false, focused: gameWindowFocused, dead: false };
+}
+
+// Game phases in which the client context describes the game being recorded
+const LCU_GAME_PHASES = ['GameStart', 'InProgress', 'Reconnect'];
+
+// The client context worth keeping with a recording
+function getLcuMeta(context) {
+  return {
+    lcu: {
+      gameId: context.gameId,
+      queueId: context.queueId,
+      gameMode: context.gameMode,
+      isCustomGame: context.isCustomGame,
+      isPracticeTool: context.isPracticeTool,
+      champion: context.champion,
+      role: context.role,
+    },
+    // Shown in the recordings list until the Riot match replaces them
+    champion: context.champion,
+    queueId: context.queueId,
+    gameMode: context.gameMode,
+  };
+}
+
+// Know the queue, champion and summoner from the League client before the game loads
+function startLcuIntegration() {
+  lcuConnector = createLcuConnector({
+    onConnect: (summoner) => {
+      const account = summoner && userConfig.accounts.find(a => a.puuid === summoner.puuid);
+      if (account) setActiveAccount(account.puuid);
+    },
+    onDisconnect: () => {
+      lcuContext = null;
+      sendStateToSettings();
+    },
+    onContext: (context) => {
+      lcuContext = context;
+      if (context.champion || context.queueId) {
+        console.log(`LCU: ${context.phase} - ${[context.champion, getQueueName(context.queueId) || context.gameMode, context.role].filter(Boolean).join(' · ')}`);
+      }
+
+      // The summoner logged into the client is the one about to play
+      const account = context.summoner && userConfig.accounts.find(a => a.puuid === context.summoner.puuid);
+      if (account) setActiveAccount(account.puuid);
+
+      if (activeRecordingFile && LCU_GAME_PHASES.includes(context.phase)) {
+        updateRecordingMeta(activeRecordingFile.partPath, getLcuMeta(context));
+      }
+      sendStateToSettings();
+    },
+  });
+  lcuConnector.start();
+}
+
+// Follow focus of the game window for the "paused while in background" policy.
+// electron-overlay-window only tracks the window here, nothing is drawn over the game.
+function startGameWindowTracking() {
+  let OverlayController;
+  try {
+    ({ OverlayController } = require('electron-overlay-window'));
+  } catch (err) {
+    console.log('Game window tracking unavailable:', err.message);
+    return;
+  }
+
+  const setFocused = (focused) => {
+    gameWindowFocused = focused;
+    gameState.focused = focused;
+    applyAutoPause();
+  };
+
+  OverlayController.events.on('attach', () => setFocused(true));
+  OverlayController.events.on('focus', () => setFocused(true));
+  OverlayController.events.on('blur', () => setFocused(false));
+  // Window closed - the game is ending, don't hold the recording paused
+  OverlayController.events.on('detach', () => setFocused(null));
+
+  try {
+    OverlayController.attachByTitle(undefined, GAME_WINDOW_TITLE);
+  } catch (err) {
+    console.log('Game window tracking unavailable:', err.message);
+  }
+}
+
+function closeCurrentPause() {
+  if (!currentEventLog) return;
+  const { pauses } = currentEventLog.data.clock;
+  const last = pauses[pauses.length - 1];
+  if (last && last.end === null) {
+    last.end = Date.now();
+    saveCurrentEventLog();
+  }
+}
+
+// Mark the current moment of the recording
+function addBookmark() {
+  if (!isRecording || !currentEventLog) return;
+
+  const wallTime = Date.now();
+  const mapping = createClockMapping(currentEventLog.data.clock);
+  const videoTime = mapping.recordingStartedAt !== null ? wallTimeToVideoTime(wallTime, mapping) : null;
+  const gameTime = mapping.synced ? (wallTime - mapping.gameStartedAt) / 1000 : null;
+
+  currentEventLog.data.bookmarks = currentEventLog.data.bookmarks || [];
+  currentEventLog.data.bookmarks.push({ wallTime, videoTime, gameTime });
+  saveCurrentEventLog();
+  if (activeRecordingFile) {
+    updateRecordingMeta(activeRecordingFile.partPath, { bookmarks: currentEventLog.data.bookmarks });
+  }
+
+  const label = gameTime !== null
+    ? `${Math.floor(gameTime / 60)}:${String(Math.floor(gameTime % 60)).padStart(2, '0')}`
+    : 'now';
+  console.log('Bookmark added at', label);
+  showNotification('Bookmark Added', `Marked ${label}`);
 }
 
 // Start recording
@@ -720,6 +1426,18 @@ async function startRecording() {
     currentMatchId = `NEXRA_${Date.now()}`;
     recordingStartTime = Date.now();
 
+    // Chunks are appended to a .part file as they arrive, so a crash only loses the last few seconds
+    const partPath = path.join(getRecordingsDir(), `${currentMatchId}.webm.part`);
+    activeRecordingFile = {
+      matchId: currentMatchId,
+      partPath,
+      micPartPath: getMicPartPath(partPath),
+      audio: { game: false, mic: false }, // confirmed by the recorder once capture starts
+    };
+    startLiveEventLog(currentMatchId);
+    resetPauseState();
+    setGameLoading(true);
+
     // Get both window and screen sources
     const sources = await desktopCapturer.getSources({
       types: ['window', 'screen'],
@@ -743,26 +1461,60 @@ async function startRecording() {
     console.log('Available sources:', sources.map(s => s.name));
     console.log('Selected source:', selectedSource?.name, selectedSource?.id);
 
+    const qualitySettings = resolveQuality(userConfig);
+    updateRecordingMeta(partPath, {
+      matchId: currentMatchId,
+      startedAt: recordingStartTime,
+      accountPuuid: getActiveAccount()?.puuid || null, // corrected once the game reports its player
+      sourceWindow: selectedSource?.name || null,
+      quality: userConfig.quality,
+      qualitySettings,
+      ...(lcuContext && LCU_GAME_PHASES.includes(lcuContext.phase) ? getLcuMeta(lcuContext) : {}),
+    });
+
     if (recorderWindow && !recorderWindow.isDestroyed()) {
-      const qualitySettings = QUALITY_PRESETS[userConfig.quality] || QUALITY_PRESETS.medium;
       recorderWindow.webContents.send('start-recording', {
         sourceId: selectedSource.id,
         matchId: currentMatchId,
-        quality: qualitySettings
+        quality: qualitySettings,
+        audio: userConfig.audio
       });
     }
 
     updateTrayMenu();
     sendStateToSettings();
+    showOverlay('recording');
     const sourceType = lolWindow ? 'LoL Window' : 'Screen';
     showNotification('Recording Started', `Capturing: ${sourceType}`);
     console.log('Recording started:', currentMatchId, '- Source:', selectedSource?.name);
 
   } catch (error) {
     console.error('Recording failed:', error);
-    isRecording = false;
-    showNotification('Error', error.message);
+    abandonRecording(error.message);
+  }
+}
+
+// A recording that failed to start, here or in the recorder: nothing was captured, so drop the
+// files started for it and go back to idle
+function abandonRecording(message) {
+  isRecording = false;
+  recordingStartTime = null;
+  stopLiveEventLog();
+  resetPauseState();
+
+  if (activeRecordingFile) {
+    const { partPath, micPartPath } = activeRecordingFile;
+    activeRecordingFile = null;
+    for (const filePath of [partPath, micPartPath, getEventLogPath(partPath.replace(/\.part$/, ''))]) {
+      fs.rmSync(filePath, { force: true });
+    }
+    deleteRecordingMeta(partPath);
   }
+
+  hideOverlay();
+  updateTrayMenu();
+  sendStateToSettings();
+  showNotification('Error', message);
 }
 
 // Stop recording
@@ -775,6 +1527,9 @@ function stopRecording() {
     recorderWindow.webContents.send('stop-recording');
   }
 
+  closeCurrentPause();
+  stopLiveEventLog();
+  resetPauseState();
   isRecording = false;
   updateTrayMenu();
   sendStateToSettings();
@@ -789,6 +1544,16 @@ ipcMain.on('accept-recording', () => {
   startRecording();
 });
 
+// IPC: Bookmark button on the overlay
+ipcMain.on('add-bookmark', () => {
+  addBookmark();
+});
+
+// IPC: Recording overlay dismissed
+ipcMain.on('hide-overlay', () => {
+  hideOverlay();
+});
+
 // IPC: Decline recording from overlay
 ipcMain.on('decline-recording', () => {
   console.log('Recording declined from overlay');
@@ -801,7 +1566,38 @@ ipcMain.on('get-app-state', () => {
 });
 
 ipcMain.on('link-account', () => {
-  shell.openExternal(`${NEXRA_WEB_URL}/dashboard?link=vision`);
+  openRelinkPage();
+});
+
+ipcMain.on('new-pairing-code', () => {
+  if (pairing) pairing.rotate();
+});
+
+ipcMain.on('set-active-account', (event, puuid) => {
+  setActiveAccount(puuid);
+});
+
+ipcMain.on('unlink-account', async (event, puuid) => {
+  const account = getAccount(puuid);
+  if (!account) return;
+
+  const { response } = await dialog.showMessageBox(settingsWindow, {
+    type: 'question',
+    title: 'Nexra Vision',
+    message: `Unlink ${formatRiotId(account)}?`,
+    detail: 'Games on this account will no longer be matched or uploaded to it.',
+    buttons: ['Unlink', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+  });
+  if (response !== 0) return;
+
+  userConfig.accounts = removeAccount(userConfig.accounts, puuid);
+  if (userConfig.activeAccountPuuid === puuid) userConfig.activeAccountPuuid = userConfig.accounts[0]?.puuid || null;
+  saveUserConfig();
+  console.log('Unlinked account:', formatRiotId(account));
+  updateTrayMenu();
+  sendStateToSettings();
 });
 
 ipcMain.on('set-auto-record', (event, value) => {
@@ -810,8 +1606,34 @@ ipcMain.on('set-auto-record', (event, value) => {
   sendStateToSettings();
 });
 
+// { category, record?, upload? } - one queue's rule
+ipcMain.on('set-recording-rule', (event, { category, ...changes }) => {
+  if (!(category in QUEUE_CATEGORIES)) return;
+  const rules = userConfig.recordingRules;
+  userConfig.recordingRules = normalizeRecordingRules({
+    ...rules,
+    queues: { ...rules.queues, [category]: { ...rules.queues[category], ...changes } },
+  });
+  saveUserConfig();
+  sendStateToSettings();
+});
+
+ipcMain.on('set-min-game-minutes', (event, minutes) => {
+  userConfig.recordingRules = normalizeRecordingRules({ ...userConfig.recordingRules, minGameMinutes: minutes });
+  saveUserConfig();
+  sendStateToSettings();
+});
+
+ipcMain.on('set-audio', (event, { track, enabled }) => {
+  if (!(track in AUDIO_TRACK_TITLES)) return;
+  userConfig.audio = { ...userConfig.audio, [track]: !!enabled };
+  saveUserConfig();
+  sendStateToSettings();
+  console.log(`Audio track ${track} ${enabled ? 'enabled' : 'disabled'} (applies to the next recording)`);
+});
+
 ipcMain.on('set-quality', (event, quality) => {
-  if (QUALITY_PRESETS[quality]) {
+  if (QUALITY_PRESETS[quality] || quality === 'custom') {
     userConfig.quality = quality;
     saveUserConfig();
     sendStateToSettings();
@@ -819,193 +1641,578 @@ ipcMain.on('set-quality', (event, quality) => {
   }
 });
 
-ipcMain.on('open-dashboard', () => {
-  shell.openExternal(`${NEXRA_WEB_URL}/dashboard`);
-});
+ipcMain.on('set-custom-quality', (event, preset) => {
+  userConfig.customQuality = normalizeCustomPreset({ ...userConfig.customQuality, ...preset });
+  saveUserConfig();
+  sendStateToSettings();
+  console.log('Custom quality set to:', userConfig.customQuality);
+});
+
+ipcMain.on('set-size-budget', (event, budget) => {
+  userConfig.sizeBudget = normalizeSizeBudget({ ...userConfig.sizeBudget, ...budget });
+  saveUserConfig();
+  sendStateToSettings();
+  console.log('Size budget set to:', userConfig.sizeBudget);
+});
+
+// While the settings window captures a new binding, the current ones must not fire
+ipcMain.on('suspend-hotkeys', (event, suspended) => {
+  if (suspended) {
+    globalShortcut.unregisterAll();
+  } else {
+    applyHotkeys();
+  }
+});
+
+ipcMain.on('set-hotkey', (event, { action, accelerator }) => {
+  if (!(action in userConfig.hotkeys)) return;
+
+  const conflict = findConflict(userConfig.hotkeys, action, accelerator);
+  if (conflict) {
+    applyHotkeys();
+    hotkeyErrors = { ...hotkeyErrors, [action]: `Already used for "${HOTKEY_LABELS[conflict]}"` };
+    sendStateToSettings();
+    return;
+  }
+
+  const previousHotkeys = userConfig.hotkeys;
+  userConfig.hotkeys = { ...previousHotkeys, [action]: accelerator || null };
+  applyHotkeys();
+
+  // Keep the previous binding if the new one can't be registered
+  if (hotkeyErrors[action]) {
+    const error = hotkeyErrors[action];
+    userConfig.hotkeys = previousHotkeys;
+    applyHotkeys();
+    hotkeyErrors = { ...hotkeyErrors, [action]: `${accelerator}: ${error}` };
+  } else {
+    saveUserConfig();
+    console.log(`Hotkey for ${action} set to:`, accelerator || 'none');
+  }
+  sendStateToSettings();
+});
+
+ipcMain.on('set-auto-pause', (event, { key, enabled }) => {
+  if (!(key in userConfig.autoPause)) return;
+  userConfig.autoPause = { ...userConfig.autoPause, [key]: !!enabled };
+  saveUserConfig();
+  console.log(`Auto-pause ${key} set to:`, !!enabled);
+  applyAutoPause();
+  sendStateToSettings();
+});
+
+ipcMain.on('open-dashboard', () => {
+  shell.openExternal(`${NEXRA_WEB_URL}/dashboard`);
+});
+
+ipcMain.on('retry-upload', (event, jobId) => {
+  uploadQueue.retry(jobId);
+});
+
+ipcMain.on('cancel-upload', (event, jobId) => {
+  uploadQueue.cancel(jobId);
+});
+
+ipcMain.on('set-match-window', (event, minutes) => {
+  userConfig.matchWindowMinutes = normalizeMatchWindow(minutes);
+  saveUserConfig();
+  console.log('Match window set to:', userConfig.matchWindowMinutes, 'min');
+  sendStateToSettings();
+});
+
+ipcMain.on('set-retention', (event, retention) => {
+  userConfig.retention = normalizeRetention({ ...userConfig.retention, ...retention });
+  saveUserConfig();
+  console.log('Retention set to:', describeRetention(userConfig.retention));
+  cleanupOldRecordings();
+  sendStateToSettings();
+});
+
+ipcMain.on('pin-recording', (event, { path: videoPath, pinned }) => {
+  if (!isLocalRecording(videoPath)) return;
+  updateRecordingMeta(videoPath, { pinned: !!pinned });
+  console.log(`${pinned ? 'Pinned' : 'Unpinned'} recording:`, path.basename(videoPath));
+  // Unpinning can put a recording back under the retention rules
+  if (!pinned) cleanupOldRecordings();
+  sendStateToSettings();
+});
+
+ipcMain.on('reupload-recording', (event, videoPath) => {
+  if (isLocalRecording(videoPath) && fs.existsSync(videoPath)) reuploadRecording(videoPath);
+});
+
+ipcMain.on('reanalyze-recording', (event, videoPath) => {
+  if (isLocalRecording(videoPath) && fs.existsSync(videoPath)) reanalyzeRecording(videoPath);
+});
+
+ipcMain.on('open-viewer', (event, videoPath) => {
+  if (!isLocalRecording(videoPath) || !fs.existsSync(videoPath)) return;
+  openViewerWindow(videoPath);
+});
+
+ipcMain.on('export-clip', async (event, { videoPath, videoStartTime, videoDuration, audioTracks }) => {
+  if (!isLocalRecording(videoPath) || !fs.existsSync(videoPath)) return;
+  if (!Number.isFinite(videoStartTime) || !Number.isFinite(videoDuration) || videoDuration <= 0) return;
+  const tracks = Object.keys(AUDIO_TRACK_TITLES).filter(track => (audioTracks || []).includes(track));
+
+  const reply = (result) => {
+    if (!event.sender.isDestroyed()) event.sender.send('clip-exported', result);
+  };
+  try {
+    const filePath = await exportViewerClip(videoPath, { videoStartTime: Math.max(0, videoStartTime), videoDuration }, tracks);
+    if (!filePath) {
+      reply({ canceled: true });
+      return;
+    }
+    console.log(`Clip exported to ${filePath} (audio: ${tracks.join(', ') || 'none'})`);
+    reply({ filePath });
+    shell.showItemInFolder(filePath);
+  } catch (error) {
+    console.error('Clip export failed:', error.message);
+    reply({ error: error.message });
+  }
+});
+
+ipcMain.on('clear-recordings', () => {
+  const count = clearAllRecordings();
+  sendStateToSettings();
+  console.log(`Cleared ${count} recordings`);
+});
+
+// IPC: The recorder could not start capturing (no permission, source gone, unsupported codec...)
+ipcMain.on('recording-error', (event, message) => {
+  console.error('Recorder error:', message);
+  if (!isRecording) return;
+  abandonRecording(`Recording failed: ${message}`);
+});
+
+// IPC: Recorder started capturing - this is video time 0
+ipcMain.on('recording-started', (event, { matchId, startedAt }) => {
+  if (currentEventLog && currentEventLog.data.matchId === matchId) {
+    currentEventLog.data.clock.recordingStartedAt = startedAt;
+    saveCurrentEventLog();
+  }
+  if (isRecording && matchId === currentMatchId) {
+    recorderStarted = true;
+    syncPauseState();
+  }
+});
+
+// IPC: What the recorder is capturing - audio tracks and resolution
+ipcMain.on('recording-capture', (event, { matchId, audio, sourceResolution, resolution }) => {
+  if (!activeRecordingFile || activeRecordingFile.matchId !== matchId) return;
+  activeRecordingFile.audio = audio;
+  updateRecordingMeta(activeRecordingFile.partPath, {
+    matchId,
+    sourceResolution,
+    resolution,
+    audioTracks: Object.keys(audio).filter(track => audio[track]),
+  });
+  console.log(`Capturing ${sourceResolution ? `${sourceResolution.width}x${sourceResolution.height}` : 'unknown size'} ` +
+    `as ${resolution.width}x${resolution.height}, game audio ${audio.game ? 'on' : 'off'}, microphone ${audio.mic ? 'on' : 'off'}`);
+});
+
+// IPC: Recording chunk received - append it to the .part file of its track
+ipcMain.on('recording-chunk', (event, { buffer, matchId, track }) => {
+  if (!activeRecordingFile || activeRecordingFile.matchId !== matchId) {
+    console.error('Received chunk for unknown recording:', matchId);
+    return;
+  }
+
+  try {
+    const targetPath = track === 'mic' ? activeRecordingFile.micPartPath : activeRecordingFile.partPath;
+    fs.appendFileSync(targetPath, Buffer.from(buffer));
+  } catch (err) {
+    console.error('Failed to write recording chunk:', err.message);
+  }
+});
+
+// IPC: Recording finished - finalize the file and process it
+ipcMain.on('recording-complete', async (event, { matchId, micOffset = 0 }) => {
+  if (!activeRecordingFile || activeRecordingFile.matchId !== matchId) {
+    console.error('Recording complete for unknown recording:', matchId);
+    return;
+  }
+
+  const { partPath, micPartPath, audio } = activeRecordingFile;
+  activeRecordingFile = null;
+
+  // Wall-clock length, used for match correlation and as the remake check fallback
+  const recordingDuration = recordingStartTime ? Math.floor((Date.now() - recordingStartTime) / 1000) : 0;
+  console.log('Recording duration:', recordingDuration, 'seconds');
+  // Cleared now: the match lookup below can outlast the start of the next game
+  recordingStartTime = null;
+
+  if (!fs.existsSync(partPath)) {
+    console.error('No recording data written for:', matchId);
+    return;
+  }
+
+  updateRecordingMeta(partPath, { endedAt: Date.now() });
+  const videoPath = partPath.replace(/\.part$/, '');
+  try {
+    fs.renameSync(partPath, videoPath);
+  } catch (err) {
+    console.error('Failed to finalize recording:', err.message);
+    return;
+  }
+
+  if (audio.game || audio.mic) {
+    await muxAudioTracks(videoPath, { hasGameAudio: audio.game, micPath: micPartPath, micOffset });
+  }
+  await finalizeRecording(videoPath);
+  console.log('Video saved:', videoPath, 'Size:', fs.statSync(videoPath).size);
+
+  // Record the measured offset between the video and the game clock
+  const eventLog = readEventLog(videoPath);
+  if (eventLog?.clock) {
+    const mapping = createClockMapping(eventLog.clock);
+    eventLog.clock.gameTimeAtVideoStart = mapping.synced ? videoTimeToGameTime(0, mapping) : null;
+    writeEventLog(videoPath, eventLog);
+    console.log(mapping.synced
+      ? `Video synced to game clock: video 0s = game ${eventLog.clock.gameTimeAtVideoStart.toFixed(1)}s`
+      : 'No game clock samples - clips will assume video time equals game time');
+  }
+
+  // Wait for the Riot match - without one the recording is kept as "pending match" and
+  // retried in the background
+  let realMatchData = null;
+  if (getAccountForRecording(videoPath)) {
+    realMatchData = await waitForMatch(videoPath);
+    if (!realMatchData) {
+      cleanupOldRecordings();
+      sendStateToSettings();
+      return;
+    }
+    console.log('Match data:', realMatchData.champion, 'Duration:', realMatchData.duration);
+  }
+
+  queueRecordingUpload(videoPath, realMatchData);
+});
+
+// The queue category of a recording: from its Riot match, else from what the League client said
+function getRecordingCategory(meta, realMatchData) {
+  return getQueueCategory(realMatchData || {}) || getQueueCategory(meta.lcu || {}) || getQueueCategory(meta);
+}
+
+// Upload a finished recording as its queue rule says, unless it was a remake
+function queueRecordingUpload(videoPath, realMatchData) {
+  if (uploadQueue.hasActiveJobFor(videoPath)) return; // already queued by hand
+
+  // Use Riot API duration if available, otherwise use recording duration
+  const meta = readRecordingMeta(videoPath);
+  const recordingDuration = meta.startedAt && meta.endedAt ? Math.floor((meta.endedAt - meta.startedAt) / 1000) : meta.duration;
+  const gameDuration = realMatchData?.duration || recordingDuration || 0;
+  const category = getRecordingCategory(meta, realMatchData);
+
+  const remakeReason = getRemakeReason(userConfig.recordingRules, category, realMatchData, gameDuration);
+  if (remakeReason) {
+    console.log(`Game ${remakeReason} (${gameDuration}s) - Skipping upload`);
+
+    // The match can be found long after the game (pending match retries), when the user may have pinned it
+    if (meta.pinned === true) {
+      console.log('Keeping pinned remake video:', videoPath);
+      sendStateToSettings();
+      return;
+    }
+
+    // Delete local video file for remakes
+    try {
+      deleteRecordingFiles(videoPath);
+      console.log('Deleted remake video:', videoPath);
+    } catch (err) {
+      console.error('Failed to delete remake video:', err);
+    }
+
+    sendStateToSettings();
+    return;
+  }
+
+  if (getUploadAction(userConfig.recordingRules, category) === 'local') {
+    // Still uploadable by hand with the re-upload button
+    console.log(`Keeping ${QUEUE_CATEGORIES[category]} game local:`, path.basename(videoPath));
+    cleanupOldRecordings();
+    sendStateToSettings();
+    return;
+  }
+
+  uploadQueue.enqueue({ matchId: getLocalMatchId(videoPath), videoPath, realMatchData });
+
+  // Apply the retention policy now that there is a new recording
+  cleanupOldRecordings();
+  sendStateToSettings();
+}
+
+// When a recording started: stored in its metadata, or encoded in its NEXRA_<ms> file name
+function getRecordingStartTime(videoPath) {
+  const meta = readRecordingMeta(videoPath);
+  if (meta.startedAt) return meta.startedAt;
+
+  const match = path.basename(videoPath).match(/^NEXRA_(\d+)\.webm$/);
+  if (match) return parseInt(match[1], 10);
+
+  // Older recordings: the file was last written when the game ended
+  const stats = fs.statSync(videoPath);
+  return stats.mtime.getTime() - (meta.duration || 0) * 1000;
+}
+
+// When the recording started and stopped, to compare with the match times. Recordings cut short by
+// a crash have no end time; their file was rewritten on repair, so the end comes from the duration.
+function getRecordingTimes(videoPath) {
+  const meta = readRecordingMeta(videoPath);
+  const startMs = getRecordingStartTime(videoPath);
+  return {
+    startMs,
+    endMs: meta.endedAt || (meta.duration ? startMs + meta.duration * 1000 : fs.statSync(videoPath).mtime.getTime()),
+  };
+}
+
+// One lookup of the recording's Riot match in the recent history (null if there is no good match).
+// A match already linked to the recording is trusted as is.
+async function correlateMatch(videoPath, { count = MATCH_HISTORY_COUNT } = {}) {
+  const matches = await fetchRecentMatches(getAccountForRecording(videoPath), count);
+  if (!matches || matches.length === 0) return null;
+
+  // Match ids are "<platform>_<gameId>", and the League client told us the game id up front
+  const meta = readRecordingMeta(videoPath);
+  const linked = matches.find(match => match.matchId === meta.riotMatchId) ||
+    (meta.lcu?.gameId && matches.find(match => match.matchId.endsWith(`_${meta.lcu.gameId}`)));
+  const best = linked ? { match: linked, confidence: 1 } : pickBestMatch(matches, getRecordingTimes(videoPath));
+  if (!best) return null;
+
+  console.log(`Match found: ${best.match.matchId} ${best.match.champion} (confidence ${best.confidence})`);
+  const realMatchData = toMatchData(best.match);
+  updateRecordingMeta(videoPath, {
+    ...summarizeMatch(realMatchData),
+    matchCorrelation: { status: 'matched', confidence: best.confidence, checkedAt: Date.now() },
+  });
+  return realMatchData;
+}
+
+// Poll for the match with backoff until it shows up or the configured window runs out
+async function waitForMatch(videoPath) {
+  const deadline = Date.now() + userConfig.matchWindowMinutes * 60000;
+  activeMatchSearches.add(videoPath);
+  updateRecordingMeta(videoPath, { matchCorrelation: { status: 'searching', checkedAt: Date.now() } });
+  sendStateToSettings();
+
+  try {
+    for (let attempt = 0; Date.now() + getAttemptDelay(attempt) <= deadline; attempt++) {
+      await new Promise(resolve => setTimeout(resolve, getAttemptDelay(attempt)));
+
+      const realMatchData = await correlateMatch(videoPath);
+      if (realMatchData) return realMatchData;
+      console.log(`No match yet for ${path.basename(videoPath)} (attempt ${attempt + 1})`);
+    }
+  } finally {
+    activeMatchSearches.delete(videoPath);
+  }
+
+  console.log(`No match within ${userConfig.matchWindowMinutes} min - pending match:`, path.basename(videoPath));
+  markMatchPending(videoPath, 0);
+  schedulePendingMatchRetry();
+  return null;
+}
+
+function markMatchPending(videoPath, attempts) {
+  updateRecordingMeta(videoPath, {
+    matchCorrelation: { status: 'pending', attempts, checkedAt: Date.now(), nextRetryAt: Date.now() + PENDING_RETRY_DELAY },
+  });
+}
 
-ipcMain.on('clear-recordings', () => {
-  const count = clearAllRecordings();
-  sendStateToSettings();
-  console.log(`Cleared ${count} recordings`);
-});
+// Recordings waiting for their match. A search cut short by a quit counts as pending too.
+function getPendingMatchRecordings() {
+  const videosDir = getRecordingsDir();
+  return fs.readdirSync(videosDir)
+    .filter(isRecordingFile)
+    .map(f => ({ videoPath: path.join(videosDir, f), meta: readRecordingMeta(path.join(videosDir, f)) }))
+    .filter(({ videoPath, meta }) => meta.matchCorrelation?.status === 'pending' ||
+      (meta.matchCorrelation?.status === 'searching' && !activeMatchSearches.has(videoPath)));
+}
 
-// IPC: Recording data received
-ipcMain.on('recording-data', async (event, { buffer, matchId }) => {
-  console.log('Recording data received:', matchId, 'Size:', buffer.length);
+function schedulePendingMatchRetry() {
+  if (pendingMatchTimer) clearTimeout(pendingMatchTimer);
+  pendingMatchTimer = null;
 
-  // Calculate recording duration as fallback
-  const recordingDuration = recordingStartTime ? Math.floor((Date.now() - recordingStartTime) / 1000) : 0;
-  console.log('Recording duration:', recordingDuration, 'seconds');
+  const pending = getPendingMatchRecordings();
+  if (pending.length === 0) return;
 
-  const videosDir = path.join(app.getPath('userData'), 'recordings');
-  if (!fs.existsSync(videosDir)) {
-    fs.mkdirSync(videosDir, { recursive: true });
+  const nextAt = Math.min(...pending.map(({ meta }) => meta.matchCorrelation.nextRetryAt || 0));
+  pendingMatchTimer = setTimeout(retryPendingMatches, Math.max(0, nextAt - Date.now()));
+}
+
+// Look again for the match of each pending recording. Matched recordings are uploaded; after
+// MAX_PENDING_RETRIES they are uploaded without match data.
+async function retryPendingMatches() {
+  pendingMatchTimer = null;
+
+  if (!net.isOnline()) {
+    pendingMatchTimer = setTimeout(retryPendingMatches, PENDING_RETRY_DELAY);
+    return;
   }
 
-  const videoPath = path.join(videosDir, `${matchId}.webm`);
-  const videoBuffer = Buffer.from(buffer);
-  fs.writeFileSync(videoPath, videoBuffer);
-  console.log('Video saved:', videoPath);
+  for (const { videoPath, meta } of getPendingMatchRecordings()) {
+    if ((meta.matchCorrelation.nextRetryAt || 0) > Date.now()) continue;
+
+    const attempts = (meta.matchCorrelation.attempts || 0) + 1;
+    const hasAccount = !!getAccountForRecording(videoPath);
+    const realMatchData = hasAccount ? await correlateMatch(videoPath, { count: MATCH_HISTORY_COUNT * 2 }) : null;
 
-  // Wait for Riot API
-  let realMatchData = null;
-  if (userConfig.puuid) {
-    // Wait for Riot API silently
-    await new Promise(resolve => setTimeout(resolve, 30000));
-    realMatchData = await getRealMatchData();
     if (realMatchData) {
-      console.log('Match data:', realMatchData.champion, 'Duration:', realMatchData.duration);
+      queueRecordingUpload(videoPath, realMatchData);
+    } else if (attempts >= MAX_PENDING_RETRIES || !hasAccount) {
+      console.log('No match found, uploading without match data:', path.basename(videoPath));
+      updateRecordingMeta(videoPath, { matchCorrelation: { status: 'unmatched', attempts, checkedAt: Date.now() } });
+      queueRecordingUpload(videoPath, null);
+    } else {
+      markMatchPending(videoPath, attempts);
     }
   }
 
-  // Check if game is a remake (< 15 minutes)
-  // Use Riot API duration if available, otherwise use recording duration
-  const gameDuration = realMatchData?.duration || recordingDuration;
+  sendStateToSettings();
+  schedulePendingMatchRetry();
+}
 
-  if (gameDuration < MIN_GAME_DURATION) {
-    console.log(`Game too short (${gameDuration}s < ${MIN_GAME_DURATION}s) - Skipping upload (probable remake)`);
+// The Riot match for a recording (not necessarily the player's latest game)
+async function findMatchForRecording(videoPath) {
+  if (!getAccountForRecording(videoPath)) return null;
 
-    // Delete local video file for remakes
-    try {
-      fs.unlinkSync(videoPath);
-      console.log('Deleted remake video:', videoPath);
-    } catch (err) {
-      console.error('Failed to delete remake video:', err);
-    }
+  const realMatchData = await correlateMatch(videoPath, { count: 20 });
 
-    recordingStartTime = null;
-    return;
+  // The user is acting on the recording now, so stop waiting for its match in the background
+  const matchCorrelation = readRecordingMeta(videoPath).matchCorrelation;
+  if (!realMatchData && matchCorrelation?.status === 'pending') {
+    updateRecordingMeta(videoPath, { matchCorrelation: { ...matchCorrelation, status: 'unmatched' } });
   }
+  return realMatchData;
+}
 
-  try {
-    await uploadToApi(matchId, videoBuffer, realMatchData);
-  } catch (error) {
-    console.error('Upload failed:', error);
-    showNotification('Upload Failed', 'Saved locally');
-  }
+// Progress of re-upload / re-analyze actions, shown in the recordings list
+// videoPath -> { action: 'reupload' | 'reanalyze', status, error, running }
+const recordingActions = new Map();
+const ACTION_STATUS_DISPLAY_TIME = 8000;
 
-  // Cleanup old recordings (keep only 3 most recent)
-  cleanupOldRecordings();
+function setRecordingAction(videoPath, action) {
+  if (action) {
+    recordingActions.set(videoPath, action);
+  } else {
+    recordingActions.delete(videoPath);
+  }
   sendStateToSettings();
+}
 
-  recordingStartTime = null;
-});
-
-// Re-analyze an existing video from the recordings directory
-async function reanalyzeLastRecording() {
-  const videosDir = path.join(app.getPath('userData'), 'recordings');
+function finishRecordingAction(videoPath, action, status) {
+  setRecordingAction(videoPath, { action, status, error: null, running: false });
+  setTimeout(() => {
+    if (recordingActions.get(videoPath)?.status === status) setRecordingAction(videoPath, null);
+  }, ACTION_STATUS_DISPLAY_TIME);
+}
 
-  if (!fs.existsSync(videosDir)) {
-    console.log('No recordings directory found');
-    return;
-  }
+function getLocalMatchId(videoPath) {
+  return readRecordingMeta(videoPath).matchId || path.basename(videoPath, '.webm');
+}
 
-  // Get all .webm files sorted by modification time (newest first)
-  const files = fs.readdirSync(videosDir)
-    .filter(f => f.endsWith('.webm'))
-    .map(f => ({
-      name: f,
-      path: path.join(videosDir, f),
-      mtime: fs.statSync(path.join(videosDir, f)).mtime.getTime()
-    }))
-    .sort((a, b) => b.mtime - a.mtime);
+// Upload a recording again, re-matching it to its Riot match first
+async function reuploadRecording(videoPath) {
+  if (recordingActions.get(videoPath)?.running) return;
+  const action = 'reupload';
 
-  if (files.length === 0) {
-    console.log('No recordings found');
-    return;
+  try {
+    setRecordingAction(videoPath, { action, status: 'Finding match...', error: null, running: true });
+    const realMatchData = await findMatchForRecording(videoPath);
+
+    // A waiting job for this file is replaced, so it picks up the match found above
+    const jobs = uploadQueue.snapshot().jobs.filter(job => job.videoPath === videoPath);
+    if (jobs.some(job => job.status === 'uploading')) throw new Error('Already uploading');
+    jobs
+      .filter(job => job.status === 'pending' || job.status === 'failed')
+      .forEach(job => uploadQueue.cancel(job.id));
+
+    uploadQueue.enqueue({ matchId: getLocalMatchId(videoPath), videoPath, realMatchData });
+    console.log('Re-upload queued:', videoPath, realMatchData ? realMatchData.matchId : '(no Riot match)');
+    finishRecordingAction(videoPath, action, realMatchData ? 'Queued for upload' : 'Queued for upload (no Riot match found)');
+  } catch (error) {
+    console.error('Re-upload failed:', error.message);
+    setRecordingAction(videoPath, { action, status: null, error: error.message, running: false });
   }
+}
 
-  const latestVideo = files[0];
-  console.log('Re-analyzing:', latestVideo.name);
+// Ask the API to analyze a recording again, uploading it first if the API doesn't have it
+async function reanalyzeRecording(videoPath) {
+  if (recordingActions.get(videoPath)?.running) return;
+  const action = 'reanalyze';
 
   try {
-    const videoBuffer = fs.readFileSync(latestVideo.path);
-    const localMatchId = latestVideo.name.replace('.webm', '');
-
-    // Get match data from Riot API
-    let realMatchData = null;
-    if (userConfig.puuid) {
-      realMatchData = await getRealMatchData();
-      if (realMatchData) {
-        console.log('Match data for re-analysis:', realMatchData.champion);
-      }
+    setRecordingAction(videoPath, { action, status: 'Finding match...', error: null, running: true });
+    const realMatchData = await findMatchForRecording(videoPath);
+    if (realMatchData) {
+      console.log('Match data for re-analysis:', realMatchData.champion);
     }
 
+    const localMatchId = getLocalMatchId(videoPath);
     const matchId = realMatchData?.matchId || localMatchId;
-    const puuid = userConfig.puuid || 'local-user';
-    const region = userConfig.region || 'EUW1';
+    const account = getAccountForRecording(videoPath);
+    const puuid = account?.puuid || 'local-user';
+    const region = account?.region || 'EUW1';
 
     // Check if recording already exists
-    const checkResponse = await fetch(`${API_URL}/recordings/check/${matchId}`);
+    setRecordingAction(videoPath, { action, status: 'Checking upload...', error: null, running: true });
+    const checkResponse = await apiFetch(`${API_URL}/recordings/check/${matchId}`);
     const checkData = await checkResponse.json();
 
-    if (checkData.success && checkData.data?.exists) {
-      console.log('Recording already exists, checking for existing analysis...');
-
-      // First, try to find the existing analysis ID
-      const existingAnalysisResponse = await fetch(`${API_URL}/analysis/match/${matchId}`);
-      const existingAnalysisData = await existingAnalysisResponse.json();
+    if (!checkData.success || !checkData.data?.exists) {
+      // Recording doesn't exist, do full upload
+      uploadQueue.enqueue({ matchId: localMatchId, videoPath, realMatchData });
+      finishRecordingAction(videoPath, action, 'Not uploaded yet - queued for upload');
+      return;
+    }
 
-      if (existingAnalysisData.success && existingAnalysisData.data?.id) {
-        // Use the reanalyze endpoint
-        const analysisId = existingAnalysisData.data.id;
-        console.log(`Found existing analysis ${analysisId}, triggering re-analysis...`);
+    setRecordingAction(videoPath, { action, status: 'Starting analysis...', error: null, running: true });
 
-        const reanalyzeResponse = await fetch(`${API_URL}/analysis/${analysisId}/reanalyze`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-        });
+    // First, try to find the existing analysis ID
+    const existingAnalysisResponse = await apiFetch(`${API_URL}/analysis/match/${matchId}`);
+    const existingAnalysisData = await existingAnalysisResponse.json();
 
-        const reanalyzeData = await reanalyzeResponse.json();
-        if (!reanalyzeData.success) {
-          throw new Error(reanalyzeData.error || 'Failed to start re-analysis');
-        }
-      } else {
-        // No existing analysis, create a new one
-        console.log('No existing analysis, creating new...');
+    if (existingAnalysisData.success && existingAnalysisData.data?.id) {
+      // Use the reanalyze endpoint
+      const analysisId = existingAnalysisData.data.id;
+      console.log(`Found existing analysis ${analysisId}, triggering re-analysis...`);
 
-        const analysisResponse = await fetch(`${API_URL}/analysis`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({
-            matchId,
-            puuid,
-            region,
-            matchData: realMatchData || {},
-          }),
-        });
+      const reanalyzeResponse = await apiFetch(`${API_URL}/analysis/${analysisId}/reanalyze`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+      });
 
-        const analysisData = await analysisResponse.json();
-        if (!analysisData.success) {
-          throw new Error(analysisData.error || 'Failed to start analysis');
-        }
+      const reanalyzeData = await reanalyzeResponse.json();
+      if (!reanalyzeData.success) {
+        throw new Error(reanalyzeData.error || 'Failed to start re-analysis');
       }
     } else {
-      // Recording doesn't exist, do full upload
-      await uploadToApi(localMatchId, videoBuffer, realMatchData);
-    }
-  } catch (error) {
-    console.error('Re-analysis failed:', error);
-  }
-}
+      // No existing analysis, create a new one
+      console.log('No existing analysis, creating new...');
+
+      const analysisResponse = await apiFetch(`${API_URL}/analysis`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          matchId,
+          puuid,
+          region,
+          matchData: realMatchData || {},
+        }),
+      });
 
-// List available recordings for re-analysis
-function listRecordings() {
-  const videosDir = path.join(app.getPath('userData'), 'recordings');
+      const analysisData = await analysisResponse.json();
+      if (!analysisData.success) {
+        throw new Error(analysisData.error || 'Failed to start analysis');
+      }
+    }
 
-  if (!fs.existsSync(videosDir)) {
-    return [];
+    finishRecordingAction(videoPath, action, 'Analysis started');
+  } catch (error) {
+    console.error('Re-analysis failed:', error.message);
+    setRecordingAction(videoPath, { action, status: null, error: error.message, running: false });
   }
-
-  return fs.readdirSync(videosDir)
-    .filter(f => f.endsWith('.webm'))
-    .map(f => ({
-      name: f,
-      path: path.join(videosDir, f),
-      matchId: f.replace('.webm', ''),
-      mtime: fs.statSync(path.join(videosDir, f)).mtime
-    }))
-    .sort((a, b) => b.mtime.getTime() - a.mtime.getTime());
 }
 
 // Fetch timeline data to get important event timestamps
@@ -1030,13 +2237,26 @@ async function fetchTimeline(matchId, puuid, region) {
 }
 
 // Extract a single video clip using FFmpeg
-async function extractSingleClip(videoPath, clip, index, outputDir, totalClips) {
+// clip.startTime is in game time; clip.videoStartTime/videoDuration are where it sits in the video
+// audioTracks lists the tracks to keep ('game', 'mic'); clips for analysis keep none
+async function extractSingleClip(videoPath, clip, index, outputDir, totalClips, { audioTracks = [] } = {}) {
   const clipPath = path.join(outputDir, `clip_${index}_${clip.type}.webm`);
 
+  // Tracks are picked by title; the trailing ? skips ones this recording doesn't have.
+  // Passed as separate arguments because the titles contain spaces.
+  const audioOptions = audioTracks.length === 0
+    ? ['-an'] // No audio (faster)
+    : [
+      '-map', '0:v:0',
+      ...audioTracks.flatMap(track => ['-map', `0:a:m:title:${AUDIO_TRACK_TITLES[track]}?`]),
+      '-c:a', 'libopus',
+      '-b:a', '64K',
+    ];
+
   return new Promise((resolve, reject) => {
     ffmpeg(videoPath)
-      .setStartTime(clip.startTime)
-      .setDuration(clip.duration || 20) // Reduced to 20 seconds
+      .setStartTime(clip.videoStartTime ?? clip.startTime)
+      .setDuration(clip.videoDuration || clip.duration || 20) // Reduced to 20 seconds
       .output(clipPath)
       .outputOptions([
         '-c:v libvpx', // VP8 is faster than VP9
@@ -1044,8 +2264,8 @@ async function extractSingleClip(videoPath, clip, index, outputDir, totalClips)
         '-b:v 500K',   // Lower bitrate for faster processing
         '-deadline realtime', // Fastest encoding mode
         '-cpu-used 5', // Faster CPU usage
-        '-an'          // No audio (faster)
       ])
+      .outputOptions(...audioOptions)
       .on('end', () => {
         console.log(`Clip ${index + 1}/${totalClips} extracted: ${clip.description}`);
         resolve({
@@ -1062,23 +2282,78 @@ async function extractSingleClip(videoPath, clip, index, outputDir, totalClips)
   });
 }
 
+// Player bookmarks become clips around the marked moment
+const BOOKMARK_LEAD_TIME = 20;
+const BOOKMARK_TAIL_TIME = 10;
+
+function buildBookmarkClips(bookmarks) {
+  return (bookmarks || [])
+    .map((bookmark, index) => {
+      const clip = {
+        type: 'bookmark',
+        severity: 'high',
+        duration: BOOKMARK_LEAD_TIME + BOOKMARK_TAIL_TIME,
+        requestedByPlayer: true,
+        description: `Player bookmark #${index + 1}`,
+      };
+
+      if (bookmark.gameTime !== null && bookmark.gameTime !== undefined) {
+        clip.startTime = Math.max(0, Math.floor(bookmark.gameTime - BOOKMARK_LEAD_TIME));
+        clip.endTime = Math.ceil(bookmark.gameTime + BOOKMARK_TAIL_TIME);
+        return clip;
+      }
+
+      // Game clock unknown: place it by video time directly
+      if (bookmark.videoTime !== null && bookmark.videoTime !== undefined) {
+        clip.videoStartTime = Math.max(0, bookmark.videoTime - BOOKMARK_LEAD_TIME);
+        clip.startTime = Math.floor(clip.videoStartTime);
+        clip.endTime = Math.ceil(bookmark.videoTime + BOOKMARK_TAIL_TIME);
+        return clip;
+      }
+
+      return null;
+    })
+    .filter(Boolean);
+}
+
+// Place each clip in the video, dropping the ones that fall outside what was recorded
+// clockMapping translates the clips' game timestamps into video time (see game-clock.js)
+function placeClipsInVideo(clips, clockMapping) {
+  return clips
+    .map(clip => {
+      // Already placed in video time (bookmarks without a game clock)
+      if (clip.videoStartTime !== undefined) return clip;
+
+      const range = gameRangeToVideoRange(clip.startTime, clip.duration || 20, clockMapping);
+      if (!range) {
+        console.log(`Clip at game ${clip.startTime}s was not recorded, skipping: ${clip.description}`);
+        return null;
+      }
+      return { ...clip, videoStartTime: range.start, videoDuration: range.duration };
+    })
+    .filter(Boolean);
+}
+
 // Extract video clips using FFmpeg - PARALLEL VERSION
-async function extractClips(videoPath, clips, outputDir) {
+// clockMapping translates the clips' game timestamps into video time (see game-clock.js)
+async function extractClips(videoPath, clips, outputDir, clockMapping = createClockMapping(null)) {
   if (!clips || clips.length === 0) {
     console.log('No clips to extract');
     return [];
   }
 
+  clips = placeClipsInVideo(clips, clockMapping);
+
   // Ensure output directory exists
   if (!fs.existsSync(outputDir)) {
     fs.mkdirSync(outputDir, { recursive: true });
   }
 
-  // Prioritize and limit clips: deaths first, then kills, then objectives
-  const priorityOrder = { death: 0, kill: 1, objective: 2, other: 3 };
+  // Prioritize and limit clips: player bookmarks first, then deaths, kills, objectives
+  const priorityOrder = { bookmark: 0, death: 1, kill: 2, objective: 3, other: 4 };
   const sortedClips = [...clips].sort((a, b) => {
-    const priorityA = priorityOrder[a.type] ?? 3;
-    const priorityB = priorityOrder[b.type] ?? 3;
+    const priorityA = priorityOrder[a.type] ?? 4;
+    const priorityB = priorityOrder[b.type] ?? 4;
     if (priorityA !== priorityB) return priorityA - priorityB;
     // Same priority: sort by severity
     const severityOrder = { critical: 0, high: 1, medium: 2, low: 3 };
@@ -1087,7 +2362,7 @@ async function extractClips(videoPath, clips, outputDir) {
 
   // Process ALL clips (deaths first, then kills, then objectives)
   const limitedClips = sortedClips;
-  console.log(`Processing ALL ${limitedClips.length} clips (deaths prioritized)`);
+  console.log(`Processing ALL ${limitedClips.length} clips (bookmarks and deaths prioritized)`);
 
   // Process clips in parallel batches of 4
   const BATCH_SIZE = 4;
@@ -1168,10 +2443,37 @@ async function extractFramesFromClip(clipPath, outputDir, numFrames = 5) {
   });
 }
 
+// Resume state for an interrupted full-video upload, kept next to the video
+function getUploadStatePath(videoPath) {
+  return `${videoPath}.upload.json`;
+}
+
+function readUploadState(videoPath) {
+  try {
+    return JSON.parse(fs.readFileSync(getUploadStatePath(videoPath), 'utf8'));
+  } catch (e) {
+    return null;
+  }
+}
+
+function saveUploadState(videoPath, state) {
+  try {
+    fs.writeFileSync(getUploadStatePath(videoPath), JSON.stringify(state, null, 2));
+  } catch (e) {
+    console.error('Failed to save upload state:', e.message);
+  }
+}
+
+function clearUploadState(videoPath) {
+  fs.rmSync(getUploadStatePath(videoPath), { force: true });
+}
+
 // Upload to API with video clips for AI analysis
-async function uploadToApi(matchId, videoBuffer, realMatchData) {
-  const puuid = userConfig.puuid || 'local-user';
-  const region = userConfig.region || 'EUW1';
+async function uploadToApi(matchId, videoPath, realMatchData) {
+  // Attributed to the account the game was played on
+  const account = getAccountForRecording(videoPath);
+  const puuid = account?.puuid || 'local-user';
+  const region = account?.region || 'EUW1';
   const finalMatchId = realMatchData?.matchId || matchId;
 
   console.log('Processing video for AI analysis...', finalMatchId);
@@ -1215,9 +2517,8 @@ async function uploadToApi(matchId, videoBuffer, realMatchData) {
     enemies: realMatchData.enemies,
   } : {};
 
-  // Create temp directory for processing
+  // Create temp directory for processing (clips and frames only, the video is read in place)
   const tempDir = path.join(app.getPath('temp'), 'nexra-clips', finalMatchId);
-  const videoPath = path.join(tempDir, 'full_recording.webm');
   const clipsDir = path.join(tempDir, 'clips');
   const framesDir = path.join(tempDir, 'frames');
 
@@ -1227,9 +2528,8 @@ async function uploadToApi(matchId, videoBuffer, realMatchData) {
       fs.mkdirSync(tempDir, { recursive: true });
     }
 
-    // Save video buffer to temp file
-    fs.writeFileSync(videoPath, videoBuffer);
-    console.log('Video saved to temp file:', videoPath);
+    const fileSize = fs.statSync(videoPath).size;
+    const meta = readRecordingMeta(videoPath);
 
     // Fetch timeline to get important events
     let timelineData = null;
@@ -1238,44 +2538,87 @@ async function uploadToApi(matchId, videoBuffer, realMatchData) {
     if (realMatchData?.matchId && !realMatchData.matchId.startsWith('NEXRA_')) {
       console.log('Fetching timeline for important moments...');
       timelineData = await fetchTimeline(finalMatchId, puuid, region);
+    }
 
-      if (timelineData?.clips?.length > 0) {
-        console.log(`Extracting ${timelineData.clips.length} clips...`);
+    let clips = timelineData?.clips || [];
+    const eventLog = readEventLog(videoPath);
+    const clockMapping = createClockMapping(eventLog?.clock);
 
-        extractedClips = await extractClips(videoPath, timelineData.clips, clipsDir);
-        console.log(`Successfully extracted ${extractedClips.length} clips`);
+    // Timeline unavailable (API down or no Riot match yet): fall back to the live events we recorded
+    if (clips.length === 0) {
+      if (eventLog?.events?.length > 0) {
+        clips = buildClipsFromEvents(eventLog.events, eventLog.activePlayerName);
+        console.log(`Using ${clips.length} clips from live game events`);
       }
     }
 
-    // 1. Create recording entry
-    const uploadUrlResponse = await fetch(`${API_URL}/recordings/upload-url`, {
-      method: 'POST',
-      headers: { 'Content-Type': 'application/json' },
-      body: JSON.stringify({
-        matchId: finalMatchId,
-        puuid,
-        region,
-        fileSize: videoBuffer.length,
-        clipCount: extractedClips.length,
-      }),
+    // Moments the player asked to have reviewed
+    const bookmarkClips = buildBookmarkClips(eventLog?.bookmarks);
+    if (bookmarkClips.length > 0) {
+      console.log(`Adding ${bookmarkClips.length} bookmarked clips`);
+      clips = [...clips, ...bookmarkClips];
+    }
+
+    if (clips.length > 0) {
+      console.log(`Extracting ${clips.length} clips...`);
+
+      extractedClips = await extractClips(videoPath, clips, clipsDir, clockMapping);
+      console.log(`Successfully extracted ${extractedClips.length} clips`);
+    }
+
+    // Keep the clip ranges with the recording for the replay viewer
+    updateRecordingMeta(videoPath, {
+      clips: extractedClips.map(clip => ({
+        type: clip.type,
+        severity: clip.severity,
+        description: clip.description,
+        videoStartTime: clip.videoStartTime ?? clip.startTime,
+        videoDuration: clip.videoDuration || clip.duration || 20,
+      })),
     });
 
-    const uploadUrlData = await uploadUrlResponse.json();
-    if (!uploadUrlData.success) throw new Error(uploadUrlData.error);
+    // 1. Create recording entry (or reuse the one from an interrupted upload)
+    const resumeState = readUploadState(videoPath);
+    let recordingId = resumeState?.recordingId;
+
+    if (recordingId) {
+      console.log('Resuming upload for recording:', recordingId);
+    } else {
+      const uploadUrlResponse = await apiFetch(`${API_URL}/recordings/upload-url`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({
+          matchId: finalMatchId,
+          puuid,
+          region,
+          fileSize,
+          clipCount: extractedClips.length,
+          // Lets frame analysis find the HUD on non-16:9 recordings
+          resolution: meta.resolution || null,
+          sourceResolution: meta.sourceResolution || null,
+        }),
+      });
+
+      const uploadUrlData = await uploadUrlResponse.json();
+      if (!uploadUrlData.success) throw new Error(uploadUrlData.error);
 
-    const { recordingId } = uploadUrlData.data;
-    console.log('Recording created:', recordingId);
+      recordingId = uploadUrlData.data.recordingId;
+      saveUploadState(videoPath, { recordingId });
+      updateRecordingMeta(videoPath, { recordingId });
+      console.log('Recording created:', recordingId);
+    }
 
-    // 2. Upload full video (for playback on dashboard)
+    // 2. Upload full video (for playback on dashboard) in resumable parts
     console.log('Uploading full video...');
-    const uploadResponse = await fetch(`${API_URL}/recordings/${recordingId}/upload`, {
-      method: 'PUT',
-      headers: { 'Content-Type': 'video/webm' },
-      body: videoBuffer,
+    await uploadFileMultipart({
+      apiUrl: API_URL,
+      apiFetch,
+      recordingId,
+      filePath: videoPath,
+      state: resumeState?.multipart,
+      onStateChange: (multipart) => saveUploadState(videoPath, { recordingId, multipart }),
+      onProgress: ({ partNumber, totalParts }) => console.log(`Uploaded part ${partNumber}/${totalParts}`),
     });
-
-    const uploadData = await uploadResponse.json();
-    if (!uploadData.success) throw new Error(uploadData.error);
     console.log('Full video uploaded successfully');
 
     // 3. Upload extracted clips for AI analysis (PARALLEL)
@@ -1300,7 +2643,7 @@ async function uploadToApi(matchId, videoBuffer, realMatchData) {
         }).filter(Boolean);
 
         // Upload clip
-        const clipUploadResponse = await fetch(`${API_URL}/recordings/${recordingId}/clips`, {
+        const clipUploadResponse = await apiFetch(`${API_URL}/recordings/${recordingId}/clips`, {
           method: 'POST',
           headers: { 'Content-Type': 'application/json' },
           body: JSON.stringify({
@@ -1310,6 +2653,7 @@ async function uploadToApi(matchId, videoBuffer, realMatchData) {
             startTime: clip.startTime,
             endTime: clip.endTime,
             severity: clip.severity,
+            requestedByPlayer: !!clip.requestedByPlayer,
             frames: frameData,
           }),
         });
@@ -1336,6 +2680,7 @@ async function uploadToApi(matchId, videoBuffer, realMatchData) {
     const uploadedClips = uploadResults.filter(Boolean);
 
     console.log(`Uploaded ${uploadedClips.length}/${extractedClips.length} clips`);
+    clearUploadState(videoPath);
 
     // Recording uploaded successfully - analysis will be started manually by user from dashboard
     console.log('Recording uploaded successfully. User can start analysis from dashboard.');
@@ -1357,13 +2702,374 @@ async function uploadToApi(matchId, videoBuffer, realMatchData) {
   }
 }
 
+// Remux a recording without re-encoding so duration and cues are valid.
+// Cues go at the front so players can seek before the whole file is downloaded.
+function remuxRecording(inputPath, outputPath) {
+  return new Promise((resolve, reject) => {
+    ffmpeg(inputPath)
+      .outputOptions(['-map 0', '-c copy', '-cues_to_front 1'])
+      .format('webm')
+      .output(outputPath)
+      .on('end', () => resolve(outputPath))
+      .on('error', (err) => reject(err))
+      .run();
+  });
+}
+
+// The microphone is recorded to its own file next to the video: <matchId>.mic.webm.part
+function getMicPartPath(partPath) {
+  return partPath.replace(/\.webm\.part$/, '.mic.webm.part');
+}
+
+// Mux the microphone recording into the video as a separate audio track and title each track.
+// The video keeps its own audio (game sound) as the first track. On failure the video is left as is.
+async function muxAudioTracks(videoPath, { hasGameAudio, micPath, micOffset = 0 }) {
+  const hasMic = !!micPath && fs.existsSync(micPath) && fs.statSync(micPath).size > 0;
+  if (!hasGameAudio && !hasMic) {
+    if (micPath) fs.rmSync(micPath, { force: true });
+    return videoPath;
+  }
+
+  const muxedPath = videoPath.replace(/\.webm$/, '.muxed.webm');
+  const titles = [
+    ...(hasGameAudio ? [AUDIO_TRACK_TITLES.game] : []),
+    ...(hasMic ? [AUDIO_TRACK_TITLES.mic] : []),
+  ];
+
+  try {
+    await new Promise((resolve, reject) => {
+      const command = ffmpeg(videoPath);
+      if (hasMic) {
+        command.input(micPath).inputOptions([`-itsoffset ${Math.max(0, micOffset) / 1000}`]);
+      }
+      command
+        .outputOptions(
+          '-map', '0:v',
+          ...(hasGameAudio ? ['-map', '0:a'] : []),
+          ...(hasMic ? ['-map', '1:a'] : []),
+          '-c', 'copy',
+          ...titles.flatMap((title, i) => [`-metadata:s:a:${i}`, `title=${title}`]),
+        )
+        .format('webm')
+        .output(muxedPath)
+        .on('end', resolve)
+        .on('error', reject)
+        .run();
+    });
+    fs.renameSync(muxedPath, videoPath);
+    if (micPath) fs.rmSync(micPath, { force: true });
+    console.log('Audio tracks muxed:', titles.join(', '));
+  } catch (err) {
+    // Keep the microphone file next to the video rather than losing it - it is deleted with the
+    // recording (see deleteRecordingFiles)
+    console.error('Failed to mux audio tracks:', err.message);
+    fs.rmSync(muxedPath, { force: true });
+  }
+
+  return videoPath;
+}
+
+// What a video file contains, from ffprobe (null if it can't be read)
+function probeRecording(videoPath) {
+  return new Promise((resolve) => {
+    ffmpeg.ffprobe(videoPath, (err, metadata) => {
+      if (err) {
+        resolve(null);
+        return;
+      }
+      const video = metadata.streams.find(stream => stream.codec_type === 'video');
+      resolve({
+        duration: Math.floor(metadata.format.duration) || 0,
+        videoCodec: video?.codec_name || null,
+        width: video?.width || null,
+        height: video?.height || null,
+        audioTracks: metadata.streams
+          .filter(stream => stream.codec_type === 'audio')
+          .map(stream => ({ codec: stream.codec_name, title: stream.tags?.title || stream.tags?.TITLE || null })),
+      });
+    });
+  });
+}
+
+// Remux a finished recording so it has a duration and a seek index (MediaRecorder writes neither),
+// then store what the file contains in its metadata. The original file is kept if the remux fails
+// or produces something unplayable.
+async function finalizeRecording(videoPath) {
+  const remuxedPath = videoPath.replace(/\.webm$/, '.remuxed.webm');
+  let indexed = false;
+
+  try {
+    await remuxRecording(videoPath, remuxedPath);
+    const remuxedInfo = await probeRecording(remuxedPath);
+    if (!remuxedInfo || !remuxedInfo.videoCodec || remuxedInfo.duration <= 0) {
+      throw new Error('remuxed file has no playable video');
+    }
+    fs.renameSync(remuxedPath, videoPath);
+    indexed = true;
+  } catch (err) {
+    console.error('Remux failed, keeping original recording:', err.message);
+    fs.rmSync(remuxedPath, { force: true });
+  }
+
+  const info = await probeRecording(videoPath);
+  updateRecordingMeta(videoPath, {
+    indexed,
+    duration: info?.duration || null,
+    videoCodec: info?.videoCodec || null,
+    ...(info?.width ? { resolution: { width: info.width, height: info.height } } : {}),
+    audioCodecs: info ? info.audioTracks.map(track => track.codec) : [],
+    fileSize: fs.statSync(videoPath).size,
+  });
+
+  console.log(`Finalized ${path.basename(videoPath)}: ${info?.duration || '?'}s ${info?.videoCodec || 'unknown codec'}` +
+    `${info?.width ? ` ${info.width}x${info.height}` : ''}${indexed ? '' : ' (not indexed)'}`);
+  return info;
+}
+
+// Turn a .part file left behind by a crash into a playable .webm
+async function repairPartialRecording(partPath) {
+  const videoPath = partPath.replace(/\.part$/, '');
+  fs.renameSync(partPath, videoPath);
+
+  // The microphone start offset is lost with the recorder; it is usually well under a second
+  const micPath = getMicPartPath(partPath);
+  if (fs.existsSync(micPath)) {
+    const rawInfo = await probeRecording(videoPath);
+    await muxAudioTracks(videoPath, { hasGameAudio: rawInfo?.audioTracks.length > 0, micPath });
+  }
+
+  const info = await finalizeRecording(videoPath);
+  console.log('Repaired interrupted recording:', path.basename(videoPath));
+  return { videoPath, duration: info?.duration || 0 };
+}
+
+// Find and repair recordings interrupted by a crash, then offer to upload them
+async function recoverInterruptedRecordings(partPaths = null) {
+  const videosDir = getRecordingsDir();
+
+  const candidates = partPaths || fs.readdirSync(videosDir)
+    .filter(f => f.endsWith('.webm.part') && !f.endsWith('.mic.webm.part'))
+    .map(f => path.join(videosDir, f));
+
+  const recovered = [];
+
+  for (const partPath of candidates) {
+    // Skip the recording currently being written
+    if (activeRecordingFile && activeRecordingFile.partPath === partPath) continue;
+
+    try {
+      if (fs.statSync(partPath).size === 0) {
+        fs.unlinkSync(partPath);
+        fs.rmSync(getMicPartPath(partPath), { force: true });
+        continue;
+      }
+
+      const { videoPath, duration } = await repairPartialRecording(partPath);
+      const matchId = path.basename(videoPath, '.webm');
+
+      // Local IDs carry the recording start time: NEXRA_<timestamp>
+      const startMatch = matchId.match(/^NEXRA_(\d+)$/);
+      const startMs = startMatch ? parseInt(startMatch[1], 10) : fs.statSync(videoPath).birthtimeMs;
+
+      const realMatchData = getAccountForRecording(videoPath)
+        ? await correlateMatch(videoPath, { count: MATCH_HISTORY_COUNT * 2 })
+        : null;
+
+      recovered.push({ matchId, videoPath, startMs, duration, realMatchData });
+    } catch (err) {
+      console.error('Failed to recover recording:', path.basename(partPath), err.message);
+    }
+  }
+
+  if (recovered.length === 0) return [];
+
+  const lines = recovered.map(rec => {
+    const label = rec.realMatchData ? rec.realMatchData.champion : new Date(rec.startMs).toLocaleString();
+    return `${label} (${Math.round(rec.duration / 60)} min)`;
+  });
+
+  console.log(`Recovered ${recovered.length} interrupted recording(s):`, lines.join(', '));
+  showNotification('Recordings Recovered', lines.join('\n'));
+
+  const { response } = await dialog.showMessageBox({
+    type: 'question',
+    title: 'Nexra Vision',
+    message: `${recovered.length} interrupted recording(s) were recovered`,
+    detail: lines.join('\n'),
+    buttons: ['Upload', 'Keep locally'],
+    defaultId: 0,
+    cancelId: 1,
+  });
+
+  if (response === 0) {
+    recovered.forEach((rec) => {
+      // The game may not be in the match history yet (the recorder crashed mid-game), so keep
+      // looking for it in the background like any other recording
+      if (!rec.realMatchData && getAccountForRecording(rec.videoPath)) {
+        console.log('No match yet for recovered recording - pending match:', path.basename(rec.videoPath));
+        markMatchPending(rec.videoPath, 0);
+        return;
+      }
+      // Same queue rules and remake check as a recording that ended normally
+      queueRecordingUpload(rec.videoPath, rec.realMatchData);
+    });
+    schedulePendingMatchRetry();
+  }
+
+  sendStateToSettings();
+  return recovered;
+}
+
+// Mirror each job's status into its recording's metadata, so it is still known once the job is
+// pruned from the queue
+function syncUploadMeta(jobs) {
+  // Jobs are newest first - a re-uploaded file keeps the state of its latest job
+  const seen = new Set();
+  for (const job of jobs) {
+    if (seen.has(job.videoPath)) continue;
+    seen.add(job.videoPath);
+    if (!fs.existsSync(job.videoPath)) continue;
+    const meta = readRecordingMeta(job.videoPath);
+    if (meta.upload?.status === job.status && meta.upload?.error === job.lastError) continue;
+    updateRecordingMeta(job.videoPath, {
+      upload: { status: job.status, error: job.lastError || null, updatedAt: job.updatedAt },
+    });
+  }
+}
+
+// Start the persistent upload queue (pending uploads survive restarts)
+function startUploadQueue() {
+  uploadQueue = createUploadQueue({
+    filePath: path.join(app.getPath('userData'), 'upload-queue.json'),
+    isOnline: () => net.isOnline(),
+    processJob: async (job) => {
+      if (!fs.existsSync(job.videoPath)) {
+        const error = new Error('Recording file no longer exists');
+        error.retryable = false;
+        throw error;
+      }
+      await uploadToApi(job.matchId, job.videoPath, job.realMatchData);
+    },
+    onChange: (snapshot) => {
+      syncUploadMeta(snapshot.jobs);
+      sendStateToSettings();
+    },
+    onJobFailed: (job) => {
+      if (job.lastError === RELINK_REQUIRED) {
+        showNotification('Re-link required', 'Link Nexra Vision again from the dashboard to resume uploads');
+        return;
+      }
+      showNotification('Upload Failed', `${job.realMatchData?.champion || 'Recording'} saved locally - retry from settings`);
+    },
+    // Uploaded recordings are no longer protected from cleanup
+    onJobDone: () => cleanupOldRecordings(),
+  });
+  uploadQueue.start();
+}
+
+function sendLinkResponse(res, status, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json' });
+  res.end(JSON.stringify(body));
+}
+
+// Ask before linking an account that isn't linked yet - games played on it will be uploaded to it
+async function confirmLink(account) {
+  if (getAccount(account.puuid)) return true;
+
+  const { response } = await dialog.showMessageBox({
+    type: 'question',
+    title: 'Nexra Vision',
+    message: `Link ${formatRiotId(account)}?`,
+    detail: userConfig.accounts.length > 0
+      ? `The Nexra dashboard wants to link this account next to ${userConfig.accounts.map(formatRiotId).join(', ')}. Its games will be recorded and uploaded to it.`
+      : 'The Nexra dashboard wants to link this account. Its games will be recorded and uploaded to it.',
+    buttons: ['Link', 'Cancel'],
+    defaultId: 1,
+    cancelId: 1,
+  });
+  return response === 0;
+}
+
+// POST /link - a link request signed with the pairing code (see pairing.js)
+function handleLinkRequest(req, res) {
+  let body = '';
+  req.on('data', (chunk) => {
+    body += chunk;
+    if (body.length > LINK_MAX_BODY_SIZE) req.destroy();
+  });
+  req.on('end', async () => {
+    let data;
+    try {
+      data = JSON.parse(body);
+    } catch (e) {
+      console.error('Link request parse error:', e.message);
+      sendLinkResponse(res, 400, { success: false, error: 'Invalid JSON' });
+      return;
+    }
+
+    const result = pairing.verify(data);
+    if (!result.ok) {
+      console.log('Rejected link request:', result.error);
+      sendLinkResponse(res, 401, { success: false, error: result.error });
+      return;
+    }
+    if (!result.linkToken) {
+      sendLinkResponse(res, 400, { success: false, error: 'Missing link token' });
+      return;
+    }
+
+    // The code is single use
+    pairing.rotate();
+
+    const account = { ...result.account, region: result.account.region || 'EUW1' };
+    console.log('Received account link request:', formatRiotId(account));
+    if (!(await confirmLink(account))) {
+      console.log('Link declined:', formatRiotId(account));
+      sendLinkResponse(res, 403, { success: false, error: 'Declined in Nexra Vision' });
+      return;
+    }
+
+    // The link token is exchanged for this device's API credential
+    try {
+      await deviceAuth.register(result.linkToken, account);
+    } catch (err) {
+      console.error('Device registration failed:', err.message);
+      sendLinkResponse(res, 502, { success: false, error: `Device registration failed: ${err.message}` });
+      return;
+    }
+
+    // Added next to any accounts already linked
+    linkAccount(account);
+    retryRelinkFailedUploads();
+
+    // Fetch profile icon if not provided
+    fetchProfileIconId(getAccount(account.puuid));
+
+    showNotification('Account Linked', formatRiotId(getAccount(account.puuid)));
+    sendLinkResponse(res, 200, { success: true, message: 'Account linked successfully' });
+  });
+}
+
 // Start local HTTP server for account linking from dashboard
 function startLinkServer() {
   if (linkServer) return;
 
+  pairing = createPairing({ onChange: () => sendStateToSettings() });
+  pairing.start();
+
   linkServer = http.createServer((req, res) => {
-    // Enable CORS for dashboard
-    res.setHeader('Access-Control-Allow-Origin', '*');
+    // Browsers send the Origin of cross-site requests: only the dashboard may use this server
+    const origin = req.headers.origin;
+    if (origin && !isAllowedOrigin(origin, LINK_ALLOWED_ORIGINS)) {
+      console.log('Refused link server request from', origin);
+      sendLinkResponse(res, 403, { success: false, error: 'Origin not allowed' });
+      return;
+    }
+
+    if (origin) {
+      res.setHeader('Access-Control-Allow-Origin', origin);
+      res.setHeader('Vary', 'Origin');
+    }
     res.setHeader('Access-Control-Allow-Methods', 'POST, GET, OPTIONS');
     res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
 
@@ -1376,60 +3082,29 @@ function startLinkServer() {
 
     // GET /status - Check if Nexra Vision is running
     if (req.method === 'GET' && req.url === '/status') {
-      res.writeHead(200, { 'Content-Type': 'application/json' });
-      res.end(JSON.stringify({
+      sendLinkResponse(res, 200, {
         success: true,
         running: true,
-        linked: !!userConfig.puuid,
-        account: userConfig.gameName ? `${userConfig.gameName}#${userConfig.tagLine}` : null
-      }));
+        pairingRequired: true,
+        linked: userConfig.accounts.length > 0,
+        account: formatRiotId(getActiveAccount()),
+        accounts: userConfig.accounts.map(formatRiotId),
+      });
       return;
     }
 
-    // POST /link - Receive account data from dashboard
+    // POST /link - Receive account data from dashboard. Browsers always send an Origin with it.
     if (req.method === 'POST' && req.url === '/link') {
-      let body = '';
-      req.on('data', chunk => body += chunk);
-      req.on('end', () => {
-        try {
-          const data = JSON.parse(body);
-          console.log('Received account link request:', data.gameName);
-
-          if (data.puuid && data.gameName && data.tagLine) {
-            userConfig.puuid = data.puuid;
-            userConfig.gameName = data.gameName;
-            userConfig.tagLine = data.tagLine;
-            userConfig.region = data.region || 'EUW1';
-            userConfig.profileIconId = data.profileIconId || null;
-            saveUserConfig();
-            updateTrayMenu();
-            sendStateToSettings();
-
-            // Fetch profile icon if not provided
-            if (!userConfig.profileIconId) {
-              fetchProfileIconId();
-            }
-
-            showNotification('Account Linked', `${userConfig.gameName}#${userConfig.tagLine}`);
-
-            res.writeHead(200, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: true, message: 'Account linked successfully' }));
-          } else {
-            res.writeHead(400, { 'Content-Type': 'application/json' });
-            res.end(JSON.stringify({ success: false, error: 'Missing required fields' }));
-          }
-        } catch (e) {
-          console.error('Link request parse error:', e.message);
-          res.writeHead(400, { 'Content-Type': 'application/json' });
-          res.end(JSON.stringify({ success: false, error: 'Invalid JSON' }));
-        }
-      });
+      if (!origin) {
+        sendLinkResponse(res, 403, { success: false, error: 'Origin not allowed' });
+        return;
+      }
+      handleLinkRequest(req, res);
       return;
     }
 
     // 404 for other routes
-    res.writeHead(404, { 'Content-Type': 'application/json' });
-    res.end(JSON.stringify({ success: false, error: 'Not found' }));
+    sendLinkResponse(res, 404, { success: false, error: 'Not found' });
   });
 
   linkServer.listen(LINK_SERVER_PORT, '127.0.0.1', () => {
@@ -1444,6 +3119,10 @@ function startLinkServer() {
 
 // Stop link server
 function stopLinkServer() {
+  if (pairing) {
+    pairing.stop();
+    pairing = null;
+  }
   if (linkServer) {
     linkServer.close();
     linkServer = null;
@@ -1469,22 +3148,26 @@ app.whenReady().then(async () => {
   });
 
   loadUserConfig();
+  startDeviceAuth();
 
-  if (!userConfig.puuid) {
+  if (userConfig.accounts.length === 0) {
     await fetchUserConfigFromNexra();
   }
 
-  // Fetch profile icon if missing
-  if (userConfig.gameName && !userConfig.profileIconId) {
-    fetchProfileIconId();
-  }
+  // Fetch profile icons if missing
+  userConfig.accounts.forEach(fetchProfileIconId);
 
-  // Cleanup old recordings on startup (keep only 3)
+  // The queue has to be loaded first so cleanup knows which recordings are waiting for upload
+  startUploadQueue();
   cleanupOldRecordings();
+  schedulePendingMatchRetry();
 
   createRecorderWindow();
   createOverlayWindow();
   createTray();
+  applyHotkeys();
+  startGameWindowTracking();
+  startLcuIntegration();
   startGameDetection();
   startLinkServer();
   startHeartbeat();
@@ -1492,15 +3175,21 @@ app.whenReady().then(async () => {
   // Show settings window on startup
   createSettingsWindow();
 
-  console.log('Account:', userConfig.gameName || 'Not linked');
-  console.log('Hotkey: F9');
+  // Repair recordings left behind by a crash or reboot
+  recoverInterruptedRecordings();
+
+  console.log('Accounts:', userConfig.accounts.length > 0 ? userConfig.accounts.map(formatRiotId).join(', ') : 'Not linked');
+  console.log('Hotkeys:', Object.entries(userConfig.hotkeys).map(([action, key]) => `${action}=${key || 'none'}`).join(', '));
   console.log('========================================');
 });
 
 app.on('will-quit', () => {
-  if (gameDetectionInterval) clearInterval(gameDetectionInterval);
+  globalShortcut.unregisterAll();
+  if (stopGameWatch) stopGameWatch();
+  if (lcuConnector) lcuConnector.stop();
   stopHeartbeat();
   stopLinkServer();
+  if (uploadQueue) uploadQueue.stop();
 });
 
 app.on('window-all-closed', (e) => e.preventDefault());
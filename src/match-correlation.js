@@ -0,0 +1,88 @@
+// Matching a recording to its Riot match
+//
+// Riot publishes a match a few minutes after it ends (sometimes much later), so the lookup is
+// retried with backoff for a configurable window. Each attempt scores the recent match history
+// against when the recording started and ended, so a quickly queued next game isn't picked by mistake.
+
+const DEFAULT_MATCH_WINDOW_MINUTES = 10;
+const MATCH_HISTORY_COUNT = 5;
+
+// Below this the recording stays "pending match" instead of getting a doubtful match
+const MIN_CONFIDENCE = 0.5;
+
+const FIRST_ATTEMPT_DELAY = 15000; // Riot never has the match right away
+const MAX_ATTEMPT_DELAY = 120000;
+
+// Recordings still unmatched after the window are retried in the background, then uploaded
+// without match data
+const PENDING_RETRY_DELAY = 15 * 60 * 1000;
+const MAX_PENDING_RETRIES = 16; // ~4 hours
+
+// How far apart (seconds) the recording and the match can be before a score drops to 0.
+// The recording starts on the loading screen, before the match clock, and ends when the
+// game closes, shortly after the nexus falls.
+const START_TOLERANCE = 300;
+const END_TOLERANCE = 300;
+const DURATION_TOLERANCE = 300;
+
+const WEIGHTS = { start: 0.4, end: 0.4, duration: 0.2 };
+
+function normalizeMatchWindow(value) {
+  const minutes = Number(value);
+  if (!Number.isFinite(minutes)) return DEFAULT_MATCH_WINDOW_MINUTES;
+  return Math.min(60, Math.max(2, Math.round(minutes)));
+}
+
+// Start/end in ms and duration in seconds, from whichever fields the match history provides
+function getMatchTimes(match) {
+  const startMs = match.gameStartTimestamp ?? match.timestamp;
+  const duration = match.gameDuration || 0;
+  const endMs = match.gameEndTimestamp ?? startMs + duration * 1000;
+  return { startMs, endMs, duration };
+}
+
+function closeness(diffSeconds, tolerance) {
+  return Math.max(0, 1 - Math.abs(diffSeconds) / tolerance);
+}
+
+// recording: { startMs, endMs }
+// Returns a confidence between 0 (not this game) and 1 (start, end and length all line up)
+function scoreMatch(match, recording) {
+  const matchTimes = getMatchTimes(match);
+  if (!Number.isFinite(matchTimes.startMs)) return 0;
+
+  // A match that started after the recording ended (or ended before it started) is another game
+  if (matchTimes.startMs > recording.endMs || matchTimes.endMs < recording.startMs) return 0;
+
+  const recordingDuration = (recording.endMs - recording.startMs) / 1000;
+  const score =
+    WEIGHTS.start * closeness((matchTimes.startMs - recording.startMs) / 1000, START_TOLERANCE) +
+    WEIGHTS.end * closeness((matchTimes.endMs - recording.endMs) / 1000, END_TOLERANCE) +
+    WEIGHTS.duration * closeness(matchTimes.duration - recordingDuration, DURATION_TOLERANCE);
+
+  return Math.round(score * 100) / 100;
+}
+
+// Best match above MIN_CONFIDENCE: { match, confidence } or null
+function pickBestMatch(matches, recording) {
+  const best = (matches || [])
+    .map(match => ({ match, confidence: scoreMatch(match, recording) }))
+    .sort((a, b) => b.confidence - a.confidence)[0];
+
+  return best && best.confidence >= MIN_CONFIDENCE ? best : null;
+}
+
+function getAttemptDelay(attempt) {
+  return Math.min(FIRST_ATTEMPT_DELAY * 2 ** attempt, MAX_ATTEMPT_DELAY);
+}
+
+module.exports = {
+  DEFAULT_MATCH_WINDOW_MINUTES,
+  MATCH_HISTORY_COUNT,
+  PENDING_RETRY_DELAY,
+  MAX_PENDING_RETRIES,
+  normalizeMatchWindow,
+  scoreMatch,
+  pickBestMatch,
+  getAttemptDelay,
+};
@@ -0,0 +1,159 @@
+const fs = require('fs');
+const crypto = require('crypto');
+
+// Resumable part-based upload for full recordings
+//
+// Protocol (all JSON responses are { success, data, error }):
+//   POST /recordings/:id/multipart                                -> { uploadId, partSize }
+//   GET  /recordings/:id/multipart/:uploadId                      -> { parts: [{ partNumber, size, checksum }] }
+//   PUT  /recordings/:id/multipart/:uploadId/parts/:partNumber    -> { partNumber, checksum }
+//   POST /recordings/:id/multipart/:uploadId/complete             -> { size }
+//
+// Each part is sent with an X-Part-Checksum header (base64 SHA-256) that the server verifies.
+// Parts are numbered from 1 and stay well under the ~100MB Cloudflare request body limit.
+// Requests go through `apiFetch`, which adds the device's authentication (see device-auth.js).
+
+const DEFAULT_PART_SIZE = 8 * 1024 * 1024; // 8MB
+const PART_ATTEMPTS = 3;
+
+function partChecksum(buffer) {
+  return crypto.createHash('sha256').update(buffer).digest('base64');
+}
+
+async function readJson(response) {
+  const data = await response.json().catch(() => ({}));
+  if (!response.ok || !data.success) {
+    const error = new Error(data.error || `HTTP ${response.status}`);
+    error.status = response.status;
+    throw error;
+  }
+  return data.data || {};
+}
+
+// Read one part of the file from disk
+async function readPart(filePath, partNumber, partSize, fileSize) {
+  const start = (partNumber - 1) * partSize;
+  const length = Math.min(partSize, fileSize - start);
+  const buffer = Buffer.alloc(length);
+  const handle = await fs.promises.open(filePath, 'r');
+  try {
+    await handle.read(buffer, 0, length, start);
+  } finally {
+    await handle.close();
+  }
+  return buffer;
+}
+
+async function initiateUpload(apiFetch, baseUrl, fileSize, contentType) {
+  const response = await apiFetch(baseUrl, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({ fileSize, contentType, partSize: DEFAULT_PART_SIZE }),
+  });
+  const data = await readJson(response);
+  return { uploadId: data.uploadId, partSize: data.partSize || DEFAULT_PART_SIZE };
+}
+
+// Ask the server which parts it already has - returns null if the upload no longer exists
+async function listUploadedParts(apiFetch, baseUrl, uploadId) {
+  const response = await apiFetch(`${baseUrl}/${uploadId}`);
+  if (response.status === 404) return null;
+  const data = await readJson(response);
+  return data.parts || [];
+}
+
+async function uploadPart(apiFetch, baseUrl, uploadId, partNumber, buffer) {
+  const checksum = partChecksum(buffer);
+
+  for (let attempt = 1; attempt <= PART_ATTEMPTS; attempt++) {
+    try {
+      const response = await apiFetch(`${baseUrl}/${uploadId}/parts/${partNumber}`, {
+        method: 'PUT',
+        headers: {
+          'Content-Type': 'application/octet-stream',
+          'X-Part-Checksum': checksum,
+        },
+        body: buffer,
+      });
+      await readJson(response);
+      return { partNumber, size: buffer.length, checksum };
+    } catch (err) {
+      if (attempt === PART_ATTEMPTS || err.retryable === false) throw err;
+      console.log(`Part ${partNumber} failed (${err.message}), retrying...`);
+      await new Promise(resolve => setTimeout(resolve, 1000 * attempt));
+    }
+  }
+}
+
+// Upload a file in parts, skipping the parts the server already has.
+// `state` is the { uploadId, partSize } returned by a previous attempt (or null to start fresh);
+// `onStateChange` is called whenever it changes so the caller can persist it for resuming.
+async function uploadFileMultipart({ apiUrl, apiFetch = fetch, recordingId, filePath, contentType = 'video/webm', state = null, onStateChange, onProgress }) {
+  const baseUrl = `${apiUrl}/recordings/${recordingId}/multipart`;
+  const fileSize = (await fs.promises.stat(filePath)).size;
+
+  let uploadState = state;
+  let uploadedParts = null;
+
+  // Resume an existing upload if the server still knows about it
+  if (uploadState?.uploadId) {
+    uploadedParts = await listUploadedParts(apiFetch, baseUrl, uploadState.uploadId);
+    if (uploadedParts) {
+      console.log(`Resuming upload ${uploadState.uploadId}: ${uploadedParts.length} part(s) already on server`);
+    }
+  }
+
+  if (!uploadedParts) {
+    uploadState = await initiateUpload(apiFetch, baseUrl, fileSize, contentType);
+    uploadedParts = [];
+    if (onStateChange) onStateChange(uploadState);
+    console.log('Multipart upload started:', uploadState.uploadId);
+  }
+
+  const { uploadId, partSize } = uploadState;
+  const totalParts = Math.max(1, Math.ceil(fileSize / partSize));
+  const parts = new Map();
+  for (const part of uploadedParts) {
+    parts.set(part.partNumber, part);
+  }
+
+  // Server parts only count once their checksum is accepted - the others are uploaded again
+  let uploadedBytes = 0;
+
+  for (let partNumber = 1; partNumber <= totalParts; partNumber++) {
+    const buffer = await readPart(filePath, partNumber, partSize, fileSize);
+    const existing = parts.get(partNumber);
+
+    // Only skip parts whose checksum matches what is on disk
+    if (existing && existing.checksum === partChecksum(buffer)) {
+      uploadedBytes += buffer.length;
+      continue;
+    }
+
+    const part = await uploadPart(apiFetch, baseUrl, uploadId, partNumber, buffer);
+    parts.set(partNumber, part);
+    uploadedBytes += part.size;
+
+    if (onProgress) onProgress({ uploadedBytes, totalBytes: fileSize, partNumber, totalParts });
+  }
+
+  const response = await apiFetch(`${baseUrl}/${uploadId}/complete`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      parts: [...parts.values()]
+        .sort((a, b) => a.partNumber - b.partNumber)
+        .map(({ partNumber, checksum }) => ({ partNumber, checksum })),
+    }),
+  });
+  await readJson(response);
+
+  console.log(`Multipart upload complete: ${totalParts} part(s), ${fileSize} bytes`);
+  return uploadState;
+}
+
+module.exports = {
+  DEFAULT_PART_SIZE,
+  partChecksum,
+  uploadFileMultipart,
+};
@@ -0,0 +1,122 @@
+const crypto = require('crypto');
+
+// Pairing between the Nexra dashboard and the local link server
+//
+// The link server listens on localhost, where any website the user visits can reach it, so a link
+// request is only accepted when:
+//   - it comes from an allowed origin (the dashboard)
+//   - it is signed with the pairing code shown in the settings window, which the user types into
+//     the dashboard. The code never travels: the dashboard sends
+//       signature = hex(HMAC-SHA256(key: code without the dash, message: getSignedMessage(payload)))
+//   - it hasn't expired, and its nonce hasn't been used before
+//
+// Link payload: { puuid, gameName, tagLine, region, linkToken, nonce, expiresAt, signature }
+// linkToken is the one-time token the app exchanges for its API credential (see device-auth.js)
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789'; // no 0/O or 1/I to misread
+const CODE_LENGTH = 8;
+const CODE_TTL = 10 * 60 * 1000;
+const MAX_FAILED_ATTEMPTS = 5; // then the code is replaced, so it can't be guessed
+const MAX_PAYLOAD_LIFETIME = 5 * 60 * 1000; // a payload may not claim to be valid for longer
+
+function generateCode() {
+  const bytes = crypto.randomBytes(CODE_LENGTH);
+  const chars = [...bytes].map(byte => CODE_ALPHABET[byte % CODE_ALPHABET.length]);
+  return `${chars.slice(0, 4).join('')}-${chars.slice(4).join('')}`;
+}
+
+// The fields covered by the signature, one per line in a fixed order
+function getSignedMessage(payload) {
+  return ['puuid', 'gameName', 'tagLine', 'region', 'linkToken', 'nonce', 'expiresAt']
+    .map(field => String(payload[field] ?? ''))
+    .join('\n');
+}
+
+function signLinkPayload(payload, code) {
+  return crypto.createHmac('sha256', code.replace(/-/g, '').toUpperCase())
+    .update(getSignedMessage(payload))
+    .digest('hex');
+}
+
+// Origins are compared exactly, e.g. 'https://nexra-jet.vercel.app'
+function isAllowedOrigin(origin, allowedOrigins) {
+  return typeof origin === 'string' && allowedOrigins.includes(origin);
+}
+
+// The current pairing code, rotated when it expires, after a successful link and after too many
+// bad signatures. onChange() is called with the new { code, expiresAt } each time.
+function createPairing({ ttl = CODE_TTL, onChange } = {}) {
+  let current = null;
+  let failedAttempts = 0;
+  let timer = null;
+  const usedNonces = new Map(); // nonce -> expiresAt, kept until the payload would have expired
+
+  function rotate() {
+    current = { code: generateCode(), expiresAt: Date.now() + ttl };
+    failedAttempts = 0;
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(rotate, ttl);
+    if (onChange) onChange(current);
+    return current;
+  }
+
+  function forgetExpiredNonces() {
+    const now = Date.now();
+    for (const [nonce, expiresAt] of usedNonces) {
+      if (expiresAt < now) usedNonces.delete(nonce);
+    }
+  }
+
+  // { ok: true, account, linkToken } or { ok: false, error }
+  function verify(payload) {
+    if (!current) return { ok: false, error: 'Pairing is not active' };
+    if (!payload || typeof payload !== 'object') return { ok: false, error: 'Invalid payload' };
+
+    const { puuid, gameName, tagLine, region, linkToken, nonce, expiresAt, signature } = payload;
+    if (!puuid || !gameName || !tagLine) return { ok: false, error: 'Missing required fields' };
+    if (typeof nonce !== 'string' || nonce.length < 16 || typeof signature !== 'string') {
+      return { ok: false, error: 'Missing signature' };
+    }
+
+    const now = Date.now();
+    if (!Number.isFinite(expiresAt) || expiresAt < now || expiresAt > now + MAX_PAYLOAD_LIFETIME) {
+      return { ok: false, error: 'Link request expired' };
+    }
+
+    forgetExpiredNonces();
+    if (usedNonces.has(nonce)) return { ok: false, error: 'Link request already used' };
+
+    const expected = Buffer.from(signLinkPayload(payload, current.code), 'hex');
+    const received = Buffer.from(signature, 'hex');
+    if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+      failedAttempts += 1;
+      if (failedAttempts >= MAX_FAILED_ATTEMPTS) {
+        console.log('Too many bad pairing attempts, replacing the pairing code');
+        rotate();
+      }
+      return { ok: false, error: 'Wrong pairing code' };
+    }
+
+    usedNonces.set(nonce, expiresAt);
+    return { ok: true, account: { puuid, gameName, tagLine, region }, linkToken: typeof linkToken === 'string' ? linkToken : null };
+  }
+
+  return {
+    start: () => current || rotate(),
+    stop() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+      current = null;
+    },
+    rotate,
+    verify,
+    getCode: () => current,
+  };
+}
+
+module.exports = {
+  getSignedMessage,
+  signLinkPayload,
+  isAllowedOrigin,
+  createPairing,
+};
@@ -0,0 +1,162 @@
+// Recording quality: built-in presets, a user-defined custom preset and file-size budgeting
+//
+// Sizes are estimated from bitrates alone (MediaRecorder sticks closely to the requested bitrate),
+// with a small allowance for the webm container.
+
+const QUALITY_PRESETS = {
+  low: { width: 854, height: 480, frameRate: 15, bitrate: 300000, codec: 'vp8' },
+  medium: { width: 854, height: 480, frameRate: 20, bitrate: 400000, codec: 'vp8' },
+  high: { width: 1280, height: 720, frameRate: 30, bitrate: 1500000, codec: 'vp8' },
+};
+
+const RESOLUTIONS = [
+  { width: 854, height: 480 },
+  { width: 1280, height: 720 },
+  { width: 1600, height: 900 },
+  { width: 1920, height: 1080 },
+];
+
+// Recordings are webm, which only carries VP8/VP9 (ffmpeg refuses to remux or mux H.264 into it).
+// A custom preset saved with another codec falls back to the default.
+const CODECS = ['vp8', 'vp9'];
+
+const DEFAULT_CUSTOM_PRESET = { width: 1280, height: 720, frameRate: 30, bitrate: 1000000, codec: 'vp8' };
+
+// Target a maximum file size instead of a fixed bitrate
+const DEFAULT_SIZE_BUDGET = {
+  enabled: false,
+  maxSizeMB: 90,
+  expectedGameMinutes: 30, // a typical ranked game
+};
+
+// Audio track bitrates (opus), added on top of the video when enabled
+const AUDIO_BITRATES = { game: 64000, mic: 32000 };
+
+// Largest recording the Nexra API accepts
+const DEFAULT_UPLOAD_LIMIT_MB = 100;
+
+const MIN_BITRATE = 150000;
+const MAX_BITRATE = 8000000;
+const CONTAINER_OVERHEAD = 1.03;
+const MB = 1024 * 1024;
+
+function clamp(value, min, max, fallback) {
+  const number = Number(value);
+  if (!Number.isFinite(number)) return fallback;
+  return Math.min(max, Math.max(min, Math.round(number)));
+}
+
+function normalizeCustomPreset(saved) {
+  const preset = { ...DEFAULT_CUSTOM_PRESET };
+  if (!saved || typeof saved !== 'object') return preset;
+
+  const resolution = RESOLUTIONS.find(r => r.width === saved.width && r.height === saved.height);
+  if (resolution) Object.assign(preset, resolution);
+  preset.frameRate = clamp(saved.frameRate, 10, 60, preset.frameRate);
+  preset.bitrate = clamp(saved.bitrate, MIN_BITRATE, MAX_BITRATE, preset.bitrate);
+  if (CODECS.includes(saved.codec)) preset.codec = saved.codec;
+  return preset;
+}
+
+function normalizeSizeBudget(saved) {
+  const budget = { ...DEFAULT_SIZE_BUDGET };
+  if (!saved || typeof saved !== 'object') return budget;
+
+  budget.enabled = saved.enabled === true;
+  budget.maxSizeMB = clamp(saved.maxSizeMB, 20, 4000, budget.maxSizeMB);
+  budget.expectedGameMinutes = clamp(saved.expectedGameMinutes, 15, 90, budget.expectedGameMinutes);
+  return budget;
+}
+
+function getAudioBitrate(audio) {
+  return (audio?.game ? AUDIO_BITRATES.game : 0) + (audio?.mic ? AUDIO_BITRATES.mic : 0);
+}
+
+// Estimated file size in MB for a recording of the given length
+function estimateSizeMB(videoBitrate, seconds, audioBitrate = 0) {
+  return ((videoBitrate + audioBitrate) * seconds / 8) * CONTAINER_OVERHEAD / MB;
+}
+
+// Video bitrate that keeps a game of the expected length under the budget (null if even the
+// minimum bitrate would not fit)
+function bitrateForBudget(budget, audioBitrate = 0) {
+  const seconds = budget.expectedGameMinutes * 60;
+  const totalBitrate = (budget.maxSizeMB * MB / CONTAINER_OVERHEAD) * 8 / seconds;
+  const videoBitrate = Math.floor(totalBitrate - audioBitrate);
+  if (videoBitrate < MIN_BITRATE) return null;
+  return Math.min(videoBitrate, MAX_BITRATE);
+}
+
+// Settings the recorder should use for a config: { width, height, frameRate, bitrate, codec, ... }
+function resolveQuality({ quality, customQuality, sizeBudget, audio }) {
+  const base = quality === 'custom'
+    ? normalizeCustomPreset(customQuality)
+    : (QUALITY_PRESETS[quality] || QUALITY_PRESETS.medium);
+  const budget = normalizeSizeBudget(sizeBudget);
+  const audioBitrate = getAudioBitrate(audio);
+
+  let { bitrate } = base;
+  if (budget.enabled) {
+    bitrate = bitrateForBudget(budget, audioBitrate) || MIN_BITRATE;
+  }
+
+  return {
+    width: base.width,
+    height: base.height,
+    frameRate: base.frameRate,
+    bitrate,
+    codec: base.codec,
+    gameAudioBitrate: AUDIO_BITRATES.game,
+    micAudioBitrate: AUDIO_BITRATES.mic,
+  };
+}
+
+// Size estimates shown in settings, with a warning for anything that can't fit the upload limit
+function describeQuality({ quality, customQuality, sizeBudget, audio }, uploadLimitMB = DEFAULT_UPLOAD_LIMIT_MB) {
+  const budget = normalizeSizeBudget(sizeBudget);
+  const audioBitrate = getAudioBitrate(audio);
+  const gameSeconds = budget.expectedGameMinutes * 60;
+
+  const estimate = (settings) => ({
+    mbPer30Min: Math.round(estimateSizeMB(settings.bitrate, 30 * 60, audioBitrate)),
+    mbPerGame: Math.round(estimateSizeMB(settings.bitrate, gameSeconds, audioBitrate)),
+  });
+
+  const presets = [...Object.keys(QUALITY_PRESETS), 'custom'].map(id => {
+    const settings = resolveQuality({ quality: id, customQuality, sizeBudget, audio });
+    const sizes = estimate(settings);
+    return { id, ...sizes, fitsLimit: sizes.mbPerGame <= uploadLimitMB };
+  });
+
+  const selected = resolveQuality({ quality, customQuality, sizeBudget, audio });
+  const sizes = estimate(selected);
+
+  let warning = null;
+  if (budget.enabled && !bitrateForBudget(budget, audioBitrate)) {
+    warning = `${budget.maxSizeMB} MB is too small for a ${budget.expectedGameMinutes} min game`;
+  } else if (sizes.mbPerGame > uploadLimitMB) {
+    warning = `A ${budget.expectedGameMinutes} min game (~${sizes.mbPerGame} MB) exceeds the ${uploadLimitMB} MB upload limit`;
+  }
+
+  return {
+    selected: { ...selected, ...sizes },
+    presets,
+    custom: normalizeCustomPreset(customQuality),
+    sizeBudget: budget,
+    uploadLimitMB,
+    warning,
+  };
+}
+
+module.exports = {
+  QUALITY_PRESETS,
+  RESOLUTIONS,
+  CODECS,
+  DEFAULT_UPLOAD_LIMIT_MB,
+  normalizeCustomPreset,
+  normalizeSizeBudget,
+  estimateSizeMB,
+  bitrateForBudget,
+  resolveQuality,
+  describeQuality,
+};
@@ -0,0 +1,24 @@
+// League queue IDs (https://static.developer.riotgames.com/docs/lol/queues.json)
+
+const QUEUE_NAMES = {
+  400: 'Normal Draft',
+  420: 'Ranked Solo/Duo',
+  430: 'Normal Blind',
+  440: 'Ranked Flex',
+  450: 'ARAM',
+  490: 'Quickplay',
+  700: 'Clash',
+  900: 'URF',
+  1700: 'Arena',
+  1900: 'URF',
+};
+
+function getQueueName(queueId) {
+  if (queueId === null || queueId === undefined) return null;
+  return QUEUE_NAMES[queueId] || `Queue ${queueId}`;
+}
+
+module.exports = {
+  QUEUE_NAMES,
+  getQueueName,
+};
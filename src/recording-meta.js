@@ -0,0 +1,68 @@
+const fs = require('fs');
+
+// Metadata stored next to each recording: <matchId>.meta.json
+//
+// Written incrementally as facts become known, so every field is optional:
+//   at start       matchId, startedAt, sourceWindow, quality, qualitySettings
+//   while capturing sourceResolution, resolution, audioTracks, bookmarks
+//   after the game endedAt, duration, videoCodec, audioCodecs, fileSize, indexed, plus the Riot match
+//                   (riotMatchId, champion, kills, deaths, assists, win, queueId, gameMode, gameDuration)
+//   match lookup   matchCorrelation: { status, confidence, attempts, checkedAt, nextRetryAt }
+//                   status: searching -> matched | pending (retried later) -> matched | unmatched
+//   uploads        upload: { status, error, updatedAt }, recordingId, clips
+//   user           pinned
+
+function getMetaPath(videoPath) {
+  return videoPath.replace(/\.webm(\.part)?$/, '.meta.json');
+}
+
+function readRecordingMeta(videoPath) {
+  try {
+    return JSON.parse(fs.readFileSync(getMetaPath(videoPath), 'utf8'));
+  } catch (e) {
+    return {};
+  }
+}
+
+// Merge changes into the stored metadata. Written to a temp file first so a crash can't leave
+// half a file behind.
+function updateRecordingMeta(videoPath, changes) {
+  const metaPath = getMetaPath(videoPath);
+  const meta = { ...readRecordingMeta(videoPath), ...changes };
+
+  try {
+    fs.writeFileSync(`${metaPath}.tmp`, JSON.stringify(meta, null, 2));
+    fs.renameSync(`${metaPath}.tmp`, metaPath);
+  } catch (e) {
+    console.error('Failed to save recording metadata:', e.message);
+  }
+  return meta;
+}
+
+// The Riot match fields worth keeping with a recording
+function summarizeMatch(match) {
+  if (!match) return {};
+  return {
+    riotMatchId: match.matchId && !match.matchId.startsWith('NEXRA_') ? match.matchId : null,
+    champion: match.champion || null,
+    kills: match.kills ?? null,
+    deaths: match.deaths ?? null,
+    assists: match.assists ?? null,
+    win: typeof match.win === 'boolean' ? match.win : null,
+    queueId: match.queueId ?? null,
+    gameMode: match.gameMode || null,
+    gameDuration: match.duration || null,
+  };
+}
+
+function deleteRecordingMeta(videoPath) {
+  fs.rmSync(getMetaPath(videoPath), { force: true });
+}
+
+module.exports = {
+  getMetaPath,
+  readRecordingMeta,
+  updateRecordingMeta,
+  summarizeMatch,
+  deleteRecordingMeta,
+};
@@ -0,0 +1,103 @@
+// What to do with each kind of game: record it, ask first or skip it, and upload it for analysis
+// or only keep it locally. Plus the remake check that drops games that ended right away.
+//
+// Rules: { queues: { <category>: { record, upload } }, minGameMinutes }
+
+const QUEUE_CATEGORIES = {
+  ranked: 'Ranked & Clash',
+  normal: 'Normal',
+  aram: 'ARAM',
+  arena: 'Arena',
+  other: 'Other modes',
+  custom: 'Custom',
+  practice: 'Practice Tool',
+};
+
+const RECORD_ACTIONS = ['record', 'ask', 'skip'];
+const UPLOAD_ACTIONS = ['upload', 'local'];
+
+const RANKED_QUEUES = [420, 440, 700];
+const NORMAL_QUEUES = [400, 430, 490];
+const ARAM_QUEUES = [100, 450, 720];
+const ARENA_QUEUES = [1700, 1710];
+
+// Analysis is built for Summoner's Rift, so other modes are recorded but kept local by default
+const DEFAULT_QUEUE_RULES = {
+  ranked: { record: 'record', upload: 'upload' },
+  normal: { record: 'record', upload: 'upload' },
+  aram: { record: 'record', upload: 'local' },
+  arena: { record: 'record', upload: 'local' },
+  other: { record: 'record', upload: 'local' },
+  custom: { record: 'ask', upload: 'local' },
+  practice: { record: 'skip', upload: 'local' },
+};
+
+// Without match data saying whether the game was remade, shorter games are treated as remakes.
+// A remake vote can only pass in the first few minutes.
+const DEFAULT_MIN_GAME_MINUTES = 5;
+
+function normalizeRecordingRules(saved) {
+  const queues = {};
+  for (const [category, defaults] of Object.entries(DEFAULT_QUEUE_RULES)) {
+    const rule = saved?.queues?.[category] || {};
+    queues[category] = {
+      record: RECORD_ACTIONS.includes(rule.record) ? rule.record : defaults.record,
+      upload: UPLOAD_ACTIONS.includes(rule.upload) ? rule.upload : defaults.upload,
+    };
+  }
+
+  const minutes = Number(saved?.minGameMinutes);
+  return {
+    queues,
+    minGameMinutes: Number.isFinite(minutes) ? Math.min(30, Math.max(0, Math.round(minutes))) : DEFAULT_MIN_GAME_MINUTES,
+  };
+}
+
+// The category of a game from the League client context or the Riot match:
+// { queueId, gameMode, isCustomGame, isPracticeTool }. null when nothing is known about it.
+function getQueueCategory({ queueId, gameMode, isCustomGame, isPracticeTool } = {}) {
+  if (isPracticeTool || gameMode === 'PRACTICETOOL') return 'practice';
+  if (isCustomGame || queueId === 0) return 'custom';
+  if (RANKED_QUEUES.includes(queueId)) return 'ranked';
+  if (NORMAL_QUEUES.includes(queueId)) return 'normal';
+  if (ARAM_QUEUES.includes(queueId) || gameMode === 'ARAM') return 'aram';
+  if (ARENA_QUEUES.includes(queueId) || gameMode === 'CHERRY') return 'arena';
+  if (queueId || gameMode) return 'other';
+  return null;
+}
+
+// 'record', 'ask' or 'skip'. Games of an unknown queue are recorded - the upload rule is applied
+// once the match tells which queue it was.
+function getRecordAction(rules, category) {
+  return category ? rules.queues[category].record : 'record';
+}
+
+// 'upload' or 'local'
+function getUploadAction(rules, category) {
+  return category ? rules.queues[category].upload : 'upload';
+}
+
+// Why a finished game counts as a remake, or null. The match says so directly
+// (gameEndedInEarlySurrender); the length is only a fallback when it doesn't.
+// Custom and practice games are never remade.
+function getRemakeReason(rules, category, realMatchData, durationSeconds) {
+  if (category === 'custom' || category === 'practice') return null;
+
+  const earlySurrender = realMatchData?.gameEndedInEarlySurrender;
+  if (earlySurrender === true) return 'remake';
+  if (earlySurrender === false) return null;
+
+  if (rules.minGameMinutes > 0 && durationSeconds > 0 && durationSeconds < rules.minGameMinutes * 60) {
+    return `shorter than ${rules.minGameMinutes} min (probable remake)`;
+  }
+  return null;
+}
+
+module.exports = {
+  QUEUE_CATEGORIES,
+  normalizeRecordingRules,
+  getQueueCategory,
+  getRecordAction,
+  getUploadAction,
+  getRemakeReason,
+};
@@ -0,0 +1,67 @@
+// Retention policy for local recordings
+//
+// Each limit is optional (0 = no limit). Pinned recordings and recordings still waiting for upload
+// are never deleted, but they still count toward the count and size limits.
+
+const DEFAULT_RETENTION = {
+  maxCount: 3,
+  maxTotalGB: 0,
+  maxAgeDays: 0,
+};
+
+const GB = 1024 * 1024 * 1024;
+const DAY = 24 * 60 * 60 * 1000;
+
+function normalizeRetention(saved) {
+  const policy = { ...DEFAULT_RETENTION };
+  if (!saved || typeof saved !== 'object') return policy;
+
+  for (const key of Object.keys(DEFAULT_RETENTION)) {
+    const value = Number(saved[key]);
+    if (Number.isFinite(value) && value >= 0) policy[key] = key === 'maxTotalGB' ? value : Math.floor(value);
+  }
+  return policy;
+}
+
+// recordings: [{ path, mtime, size, pinned, uploadPending }]
+// Returns the recordings to delete with the rule that selected each one, e.g. [{ recording, reason }]
+function selectRecordingsToDelete(recordings, policy, now = Date.now()) {
+  const newestFirst = [...recordings].sort((a, b) => b.mtime - a.mtime);
+  const toDelete = [];
+  let totalSize = 0;
+
+  newestFirst.forEach((recording, index) => {
+    totalSize += recording.size;
+
+    let reason = null;
+    if (policy.maxCount > 0 && index >= policy.maxCount) {
+      reason = `more than ${policy.maxCount} recordings`;
+    } else if (policy.maxTotalGB > 0 && totalSize > policy.maxTotalGB * GB) {
+      reason = `over ${policy.maxTotalGB} GB`;
+    } else if (policy.maxAgeDays > 0 && now - recording.mtime > policy.maxAgeDays * DAY) {
+      reason = `older than ${policy.maxAgeDays} days`;
+    }
+
+    if (reason && !recording.pinned && !recording.uploadPending) {
+      toDelete.push({ recording, reason });
+    }
+  });
+
+  return toDelete;
+}
+
+// One line for the settings window, e.g. "Keeping the last 3 games, up to 20 GB"
+function describeRetention(policy) {
+  const parts = [];
+  if (policy.maxCount > 0) parts.push(`the last ${policy.maxCount} game${policy.maxCount === 1 ? '' : 's'}`);
+  if (policy.maxTotalGB > 0) parts.push(`up to ${policy.maxTotalGB} GB`);
+  if (policy.maxAgeDays > 0) parts.push(`for ${policy.maxAgeDays} day${policy.maxAgeDays === 1 ? '' : 's'}`);
+  return parts.length > 0 ? `Keeping ${parts.join(', ')}` : 'Keeping all recordings';
+}
+
+module.exports = {
+  DEFAULT_RETENTION,
+  normalizeRetention,
+  selectRecordingsToDelete,
+  describeRetention,
+};
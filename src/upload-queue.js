@@ -0,0 +1,237 @@
+const fs = require('fs');
+
+// Durable queue of pending uploads, persisted to disk so it survives restarts
+//
+// Job statuses: pending -> uploading -> done
+//                                    -> pending (retry with backoff) -> ... -> failed
+//               pending/failed -> cancelled (user action)
+
+const MAX_ATTEMPTS = 6;
+const BASE_RETRY_DELAY = 30000; // 30 seconds, doubled on each failure
+const MAX_RETRY_DELAY = 30 * 60 * 1000; // 30 minutes
+const OFFLINE_CHECK_INTERVAL = 15000;
+const MAX_FINISHED_JOBS = 20; // done/cancelled jobs kept for display
+
+// Errors thrown by fetch when the network (not the server) is the problem
+const NETWORK_ERROR_CODES = ['ENOTFOUND', 'ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EAI_AGAIN', 'ENETUNREACH', 'UND_ERR_CONNECT_TIMEOUT', 'UND_ERR_SOCKET'];
+
+function isNetworkError(err) {
+  const code = err?.cause?.code || err?.code;
+  return NETWORK_ERROR_CODES.includes(code) || (err?.name === 'TypeError' && err.message === 'fetch failed');
+}
+
+function getRetryDelay(attempts) {
+  return Math.min(BASE_RETRY_DELAY * 2 ** (attempts - 1), MAX_RETRY_DELAY);
+}
+
+// filePath:   where the queue is persisted
+// processJob: async (job) => void, throws on failure (set err.retryable = false to fail immediately)
+// isOnline:   () => boolean, checked before each attempt
+// onChange:   called with the queue snapshot whenever something changes
+// onJobFailed: called when a job gives up after its last attempt
+// onJobDone:  called when a job has been uploaded
+function createUploadQueue({ filePath, processJob, isOnline = () => true, onChange = () => {}, onJobFailed = () => {}, onJobDone = () => {} }) {
+  let jobs = [];
+  let offline = false;
+  let running = false;
+  let timer = null;
+
+  function save() {
+    try {
+      const tempPath = `${filePath}.tmp`;
+      fs.writeFileSync(tempPath, JSON.stringify(jobs, null, 2));
+      fs.renameSync(tempPath, filePath);
+    } catch (e) {
+      console.error('Failed to save upload queue:', e.message);
+    }
+  }
+
+  function load() {
+    try {
+      if (fs.existsSync(filePath)) {
+        jobs = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+      }
+    } catch (e) {
+      console.error('Failed to load upload queue:', e.message);
+      jobs = [];
+    }
+
+    // Uploads interrupted by a quit/crash go back to pending
+    jobs.forEach(job => {
+      if (job.status === 'uploading') {
+        job.status = 'pending';
+        job.nextAttemptAt = Date.now();
+      }
+    });
+  }
+
+  function pruneFinished() {
+    const finished = jobs.filter(job => job.status === 'done' || job.status === 'cancelled');
+    if (finished.length > MAX_FINISHED_JOBS) {
+      const toDrop = new Set(finished
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .slice(MAX_FINISHED_JOBS)
+        .map(job => job.id));
+      jobs = jobs.filter(job => !toDrop.has(job.id));
+    }
+  }
+
+  function changed() {
+    pruneFinished();
+    save();
+    onChange(snapshot());
+  }
+
+  function update(job, fields) {
+    Object.assign(job, fields, { updatedAt: Date.now() });
+    changed();
+  }
+
+  function snapshot() {
+    return {
+      offline,
+      jobs: jobs.map(job => ({ ...job })).sort((a, b) => b.createdAt - a.createdAt),
+    };
+  }
+
+  function schedule(delay) {
+    if (timer) clearTimeout(timer);
+    timer = setTimeout(run, Math.max(0, delay));
+  }
+
+  // Schedule the next wake-up for the earliest pending job
+  function scheduleNext() {
+    if (offline) {
+      schedule(OFFLINE_CHECK_INTERVAL);
+      return;
+    }
+    const pending = jobs.filter(job => job.status === 'pending');
+    if (pending.length === 0) return;
+    const nextAt = Math.min(...pending.map(job => job.nextAttemptAt || 0));
+    schedule(nextAt - Date.now());
+  }
+
+  async function run() {
+    timer = null;
+    if (running) return;
+
+    if (!isOnline()) {
+      if (!offline) {
+        offline = true;
+        console.log('Upload queue: offline, waiting for connectivity');
+        changed();
+      }
+      scheduleNext();
+      return;
+    }
+
+    if (offline) {
+      // Connectivity is back - retry everything that is waiting right away
+      offline = false;
+      console.log('Upload queue: back online');
+      jobs.filter(job => job.status === 'pending').forEach(job => { job.nextAttemptAt = Date.now(); });
+      changed();
+    }
+
+    const job = jobs
+      .filter(j => j.status === 'pending' && (j.nextAttemptAt || 0) <= Date.now())
+      .sort((a, b) => a.createdAt - b.createdAt)[0];
+
+    if (!job) {
+      scheduleNext();
+      return;
+    }
+
+    running = true;
+    update(job, { status: 'uploading', lastError: null });
+    console.log('Upload queue: processing', job.matchId);
+
+    try {
+      await processJob(job);
+      update(job, { status: 'done' });
+      console.log('Upload queue: done', job.matchId);
+      onJobDone(job);
+    } catch (err) {
+      if (isNetworkError(err)) {
+        // Not the job's fault - don't count it as an attempt
+        offline = true;
+        update(job, { status: 'pending', nextAttemptAt: Date.now(), lastError: 'Network unavailable' });
+        console.log('Upload queue: network error, pausing until online');
+      } else {
+        const attempts = (job.attempts || 0) + 1;
+        const giveUp = err.retryable === false || attempts >= MAX_ATTEMPTS;
+        update(job, {
+          status: giveUp ? 'failed' : 'pending',
+          attempts,
+          nextAttemptAt: giveUp ? null : Date.now() + getRetryDelay(attempts),
+          lastError: err.message,
+        });
+        console.error(`Upload queue: attempt ${attempts} failed for ${job.matchId}:`, err.message);
+        if (giveUp) onJobFailed(job);
+      }
+    } finally {
+      running = false;
+    }
+
+    scheduleNext();
+  }
+
+  return {
+    start() {
+      load();
+      changed();
+      schedule(0);
+    },
+
+    stop() {
+      if (timer) clearTimeout(timer);
+      timer = null;
+    },
+
+    enqueue(data) {
+      const job = {
+        id: `${Date.now()}_${Math.random().toString(36).slice(2, 8)}`,
+        ...data,
+        status: 'pending',
+        attempts: 0,
+        nextAttemptAt: Date.now(),
+        lastError: null,
+        createdAt: Date.now(),
+        updatedAt: Date.now(),
+      };
+      jobs.push(job);
+      changed();
+      if (!running) schedule(0);
+      return job;
+    },
+
+    retry(id) {
+      const job = jobs.find(j => j.id === id);
+      if (!job || (job.status !== 'failed' && job.status !== 'cancelled' && job.status !== 'pending')) return false;
+      update(job, { status: 'pending', attempts: 0, nextAttemptAt: Date.now(), lastError: null });
+      if (!running) schedule(0);
+      return true;
+    },
+
+    cancel(id) {
+      const job = jobs.find(j => j.id === id);
+      if (!job || (job.status !== 'pending' && job.status !== 'failed')) return false;
+      update(job, { status: 'cancelled', nextAttemptAt: null });
+      return true;
+    },
+
+    // Whether a file still has an upload that may run (failed jobs can be retried by the user)
+    hasActiveJobFor(videoPath) {
+      return jobs.some(job => job.videoPath === videoPath &&
+        (job.status === 'pending' || job.status === 'uploading' || job.status === 'failed'));
+    },
+
+    snapshot,
+  };
+}
+
+module.exports = {
+  createUploadQueue,
+  isNetworkError,
+  getRetryDelay,
+};